@@ -1,4 +1,4 @@
-const { formatCommands, formatList } = require("./common");
+const { formatCommands, formatList, formatSections } = require("./common");
 
 module.exports = {
   id: "claude",
@@ -6,6 +6,7 @@ module.exports = {
   description: "Generate CLAUDE.md from rules.yaml.",
   defaultPath: "CLAUDE.md",
   management: "full",
+  signals: [".claude", ".mcp.json", "CLAUDE.local.md"],
   render(rules) {
     return [
       "# CLAUDE.md",
@@ -26,6 +27,7 @@ module.exports = {
       `- Mode: \`${rules.approvals.mode}\``,
       ...rules.approvals.notes.map((note) => `- ${note}`),
       "",
+      ...formatSections(rules.sections, "##"),
     ].join("\n");
   },
 };
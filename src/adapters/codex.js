@@ -6,6 +6,7 @@ module.exports = {
   description: "Manage AGENTS.md via marker-managed section.",
   defaultPath: "AGENTS.md",
   management: "marker",
+  signals: [".codex"],
   markerBegin: "<!-- RULES_DOCTOR:BEGIN -->",
   markerEnd: "<!-- RULES_DOCTOR:END -->",
   render(rules) {
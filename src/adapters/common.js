@@ -1,8 +1,30 @@
-function formatList(items) {
-  if (!Array.isArray(items) || items.length === 0) {
+// Rule items are plain strings or `{ text, tags }` objects. With `includeTags`, tagged items
+// are kept only when they share a tag with it; untagged items are always kept.
+function selectItems(items, includeTags) {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  const wanted = Array.isArray(includeTags) && includeTags.length > 0 ? includeTags : null;
+  return items
+    .filter((item) => {
+      if (typeof item === "string") {
+        return true;
+      }
+      if (!item || typeof item.text !== "string") {
+        return false;
+      }
+      const tags = Array.isArray(item.tags) ? item.tags : [];
+      return !wanted || tags.length === 0 || tags.some((tag) => wanted.includes(tag));
+    })
+    .map((item) => (typeof item === "string" ? item : item.text));
+}
+
+function formatList(items, includeTags) {
+  const selected = selectItems(items, includeTags);
+  if (selected.length === 0) {
     return "- (none)";
   }
-  return items.map((item) => `- ${item}`).join("\n");
+  return selected.map((item) => `- ${item}`).join("\n");
 }
 
 function formatCommands(commands) {
@@ -23,6 +45,48 @@ function formatCommands(commands) {
   return names.map((name) => `- ${name}: \`${commands[name]}\``).join("\n");
 }
 
+function formatSections(sections, heading) {
+  if (!Array.isArray(sections)) {
+    return [];
+  }
+  return sections.flatMap((section) => [
+    `${heading} ${section.title}`,
+    Array.isArray(section.body) ? formatList(section.body) : String(section.body || "").trim(),
+    "",
+  ]);
+}
+
+// Scoped files carry this marker so sync can find and remove files for deleted scopes.
+const SCOPE_MARKER_PATTERN = /^<!-- rules-doctor:scope [a-z0-9-]+ -->$/m;
+
+function formatScopeMarker(name) {
+  return `<!-- rules-doctor:scope ${name} -->`;
+}
+
+function isScopeFile(text) {
+  return SCOPE_MARKER_PATTERN.test(text);
+}
+
+function renderScopedRulesBody(scope) {
+  const lines = [
+    formatScopeMarker(scope.name),
+    `## rules-doctor Scoped Rules: ${scope.name}`,
+    "Generated from `.agentrules/rules.yaml`. Edit that file, then run `rules-doctor sync`.",
+    "",
+  ];
+  for (const [title, items] of [
+    ["Workflow", scope.workflow],
+    ["Done", scope.done],
+    ["Notes", scope.notes],
+  ]) {
+    if (selectItems(items).length > 0) {
+      lines.push(`### ${title}`, formatList(items), "");
+    }
+  }
+  lines.push(...formatSections(scope.sections, "###"));
+  return lines.join("\n");
+}
+
 function renderManagedRulesBody(rules) {
   return [
     "## rules-doctor Managed Rules",
@@ -44,11 +108,17 @@ function renderManagedRulesBody(rules) {
     `- Policy: \`${rules.approvals.mode}\``,
     ...rules.approvals.notes.map((note) => `- ${note}`),
     "",
+    ...formatSections(rules.sections, "###"),
   ].join("\n");
 }
 
 module.exports = {
   formatCommands,
   formatList,
+  formatScopeMarker,
+  formatSections,
+  isScopeFile,
   renderManagedRulesBody,
+  renderScopedRulesBody,
+  selectItems,
 };
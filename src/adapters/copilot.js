@@ -1,15 +1,43 @@
-const { renderManagedRulesBody } = require("./common");
+const { posix } = require("node:path");
+const { renderManagedRulesBody, renderScopedRulesBody } = require("./common");
+
+const DEFAULT_PATH = ".github/copilot-instructions.md";
+
+function scopeDir(targetPath) {
+  return posix.join(posix.dirname(targetPath), "instructions");
+}
 
 module.exports = {
   id: "copilot",
   name: "GitHub Copilot",
   description:
     "Manage .github/copilot-instructions.md via marker-managed section to preserve user content.",
-  defaultPath: ".github/copilot-instructions.md",
+  defaultPath: DEFAULT_PATH,
   management: "marker",
+  signals: [".github/prompts", ".github/chatmodes", ".github/workflows/copilot-setup-steps.yml"],
   markerBegin: "<!-- RULES_DOCTOR:COPILOT:BEGIN -->",
   markerEnd: "<!-- RULES_DOCTOR:COPILOT:END -->",
-  render(rules) {
-    return ["# Copilot Instructions", "", renderManagedRulesBody(rules)].join("\n");
+  // Each scope becomes a fully managed, path-specific instructions file applied to its globs.
+  render(rules, context) {
+    const targetPath = context && context.path ? context.path : DEFAULT_PATH;
+    return [
+      {
+        path: targetPath,
+        content: ["# Copilot Instructions", "", renderManagedRulesBody(rules)].join("\n"),
+      },
+      ...(rules.scopes || []).map((scope) => ({
+        path: posix.join(scopeDir(targetPath), `${scope.name}.instructions.md`),
+        management: "full",
+        content: [
+          "---",
+          ...(scope.description ? [`description: ${JSON.stringify(scope.description)}`] : []),
+          ...(scope.globs.length > 0 ? [`applyTo: ${JSON.stringify(scope.globs.join(","))}`] : []),
+          "---",
+          "",
+          renderScopedRulesBody(scope),
+        ].join("\n"),
+      })),
+    ];
   },
+  scopeDir,
 };
@@ -1,19 +1,46 @@
-const { renderManagedRulesBody } = require("./common");
+const { posix } = require("node:path");
+const { renderManagedRulesBody, renderScopedRulesBody } = require("./common");
+
+const DEFAULT_PATH = ".cursor/rules/rules-doctor.mdc";
 
 module.exports = {
   id: "cursor",
   name: "Cursor",
   description: "Manage .cursor/rules/rules-doctor.mdc as an always-applied project rule.",
-  defaultPath: ".cursor/rules/rules-doctor.mdc",
+  defaultPath: DEFAULT_PATH,
   management: "full",
-  render(rules) {
+  signals: [".cursorrules", ".cursorignore", ".cursorindexingignore", ".cursor/mcp.json"],
+  // Each scope becomes a sibling .mdc rule that Cursor attaches by glob or by description.
+  render(rules, context) {
+    const targetPath = context && context.path ? context.path : DEFAULT_PATH;
+    const stem = posix.basename(targetPath, ".mdc");
     return [
-      "---",
-      "description: rules-doctor managed coding rules",
-      "alwaysApply: true",
-      "---",
-      "",
-      renderManagedRulesBody(rules),
-    ].join("\n");
+      {
+        path: targetPath,
+        content: [
+          "---",
+          "description: rules-doctor managed coding rules",
+          "alwaysApply: true",
+          "---",
+          "",
+          renderManagedRulesBody(rules),
+        ].join("\n"),
+      },
+      ...(rules.scopes || []).map((scope) => ({
+        path: posix.join(posix.dirname(targetPath), `${stem}-${scope.name}.mdc`),
+        content: [
+          "---",
+          `description: ${scope.description || ""}`.trimEnd(),
+          `globs: ${scope.globs.join(",")}`.trimEnd(),
+          "alwaysApply: false",
+          "---",
+          "",
+          renderScopedRulesBody(scope),
+        ].join("\n"),
+      })),
+    ];
+  },
+  scopeDir(targetPath) {
+    return posix.dirname(targetPath);
   },
 };
@@ -6,6 +6,7 @@ module.exports = {
   description: "Generate GEMINI.md managed instruction file.",
   defaultPath: "GEMINI.md",
   management: "full",
+  signals: [".gemini", ".geminiignore"],
   render(rules) {
     return ["# GEMINI.md", "", renderManagedRulesBody(rules)].join("\n");
   },
@@ -4,11 +4,132 @@ const copilot = require("./copilot");
 const cursor = require("./cursor");
 const gemini = require("./gemini");
 const opencode = require("./opencode");
+const { createTemplateAdapter } = require("./template");
 
 const ADAPTERS = [claude, codex, copilot, cursor, gemini, opencode];
 const ADAPTERS_BY_ID = Object.fromEntries(ADAPTERS.map((adapter) => [adapter.id, adapter]));
+const ADAPTER_MANAGEMENT_MODES = ["full", "marker"];
+
+function validateAdapter(candidate, source) {
+  const label = source ? `Adapter from ${source}` : "Adapter";
+  const problems = [];
+
+  if (!candidate || typeof candidate !== "object") {
+    throw new Error(`${label} must export an object.`);
+  }
+
+  if (typeof candidate.id !== "string" || !/^[a-z0-9][a-z0-9_-]*$/i.test(candidate.id)) {
+    problems.push(`"id" must match /^[a-z0-9][a-z0-9_-]*$/i.`);
+  } else if (candidate.id === "all") {
+    problems.push(`"id" must not be "all" (reserved for --target all).`);
+  }
+  if (typeof candidate.defaultPath !== "string" || !candidate.defaultPath.trim()) {
+    problems.push(`"defaultPath" must be a non-empty string.`);
+  }
+  if (!ADAPTER_MANAGEMENT_MODES.includes(candidate.management)) {
+    problems.push(`"management" must be one of: ${ADAPTER_MANAGEMENT_MODES.join(", ")}.`);
+  }
+  if (candidate.management === "marker") {
+    for (const key of ["markerBegin", "markerEnd"]) {
+      if (typeof candidate[key] !== "string" || !candidate[key].trim()) {
+        problems.push(`"${key}" must be a non-empty string for marker-managed adapters.`);
+      }
+    }
+    if (candidate.markerBegin === candidate.markerEnd) {
+      problems.push(`"markerBegin" and "markerEnd" must differ.`);
+    }
+  }
+  if (typeof candidate.render !== "function") {
+    problems.push(`"render" must be a function.`);
+  }
+  if (typeof candidate.scopeDir !== "undefined" && typeof candidate.scopeDir !== "function") {
+    problems.push(`"scopeDir" must be a function when present.`);
+  }
+  if (
+    typeof candidate.signals !== "undefined" &&
+    (!Array.isArray(candidate.signals) || candidate.signals.some((item) => typeof item !== "string"))
+  ) {
+    problems.push(`"signals" must be an array of project paths when present.`);
+  }
+
+  if (problems.length > 0) {
+    const name = typeof candidate.id === "string" && candidate.id ? ` "${candidate.id}"` : "";
+    throw new Error(`${label}${name} is invalid:\n- ${problems.join("\n- ")}`);
+  }
+
+  return candidate;
+}
+
+// `render(rules, { path })` returns either the content for the target's path, or a list of
+// `{ path, content, management, markerBegin, markerEnd }` outputs. `path` defaults to the
+// target's path and the management settings default to the adapter's own.
+function normalizeAdapterOutputs(adapter, rendered, targetPath) {
+  const label = `Adapter "${adapter.id}" render()`;
+  if (typeof rendered === "string") {
+    return [
+      {
+        path: targetPath,
+        content: rendered,
+        management: adapter.management,
+        markerBegin: adapter.markerBegin,
+        markerEnd: adapter.markerEnd,
+      },
+    ];
+  }
+  if (!Array.isArray(rendered) || rendered.length === 0) {
+    throw new Error(`${label} must return a string or a non-empty array of outputs.`);
+  }
+
+  const seen = new Set();
+  return rendered.map((output, index) => {
+    const where = `${label} output ${index + 1}`;
+    if (!output || typeof output !== "object" || typeof output.content !== "string") {
+      throw new Error(`${where} must be an object with string "content".`);
+    }
+    const path =
+      typeof output.path === "string" && output.path.trim() ? output.path.trim() : targetPath;
+    if (seen.has(path)) {
+      throw new Error(`${label} returned more than one output for ${path}.`);
+    }
+    seen.add(path);
+
+    const management = output.management || adapter.management;
+    if (!ADAPTER_MANAGEMENT_MODES.includes(management)) {
+      throw new Error(
+        `${where} "management" must be one of: ${ADAPTER_MANAGEMENT_MODES.join(", ")}.`,
+      );
+    }
+    const markerBegin = output.markerBegin || adapter.markerBegin;
+    const markerEnd = output.markerEnd || adapter.markerEnd;
+    if (management === "marker" && (!markerBegin || !markerEnd || markerBegin === markerEnd)) {
+      throw new Error(
+        `${where} needs distinct "markerBegin" and "markerEnd" for marker management.`,
+      );
+    }
+    return { path, content: output.content, management, markerBegin, markerEnd };
+  });
+}
+
+function createAdapterRegistry(extraAdapters) {
+  const adapters = [...ADAPTERS];
+  const byId = { ...ADAPTERS_BY_ID };
+
+  for (const adapter of extraAdapters || []) {
+    if (byId[adapter.id]) {
+      throw new Error(`Adapter id "${adapter.id}" is already registered.`);
+    }
+    adapters.push(adapter);
+    byId[adapter.id] = adapter;
+  }
+
+  return { adapters, byId };
+}
 
 module.exports = {
   ADAPTERS,
   ADAPTERS_BY_ID,
+  createAdapterRegistry,
+  createTemplateAdapter,
+  normalizeAdapterOutputs,
+  validateAdapter,
 };
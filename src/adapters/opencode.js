@@ -6,6 +6,7 @@ module.exports = {
   description: "Manage AGENTS.md via marker-managed section (OpenCode rules).",
   defaultPath: "AGENTS.md",
   management: "marker",
+  signals: ["opencode.json", "opencode.jsonc", ".opencode"],
   markerBegin: "<!-- RULES_DOCTOR:BEGIN -->",
   markerEnd: "<!-- RULES_DOCTOR:END -->",
   render(rules) {
@@ -0,0 +1,23 @@
+const { compileTemplate } = require("../template");
+
+function createTemplateAdapter(options) {
+  const markerId = options.id.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+  const render = compileTemplate(options.template);
+
+  return {
+    id: options.id,
+    name: options.id,
+    description: `Render ${options.templatePath} from rules.yaml.`,
+    defaultPath: options.defaultPath,
+    management: options.management || "full",
+    markerBegin: options.markerBegin || `<!-- RULES_DOCTOR:${markerId}:BEGIN -->`,
+    markerEnd: options.markerEnd || `<!-- RULES_DOCTOR:${markerId}:END -->`,
+    render(rules) {
+      return render(rules);
+    },
+  };
+}
+
+module.exports = {
+  createTemplateAdapter,
+};
@@ -0,0 +1,332 @@
+// Checks for the shell commands listed under `commands:` in rules.yaml. Agents run these
+// verbatim, so `verify-commands` makes sure each one resolves statically (package.json scripts,
+// Makefile targets, executables on PATH) and, with --run, that it actually passes.
+const { spawn } = require("node:child_process");
+const { existsSync, readFileSync, statSync } = require("node:fs");
+const { delimiter, join, resolve } = require("node:path");
+
+// npm-style package managers and the subcommands that are not package.json scripts.
+const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+const PACKAGE_MANAGER_BUILTINS = [
+  "add",
+  "audit",
+  "cache",
+  "ci",
+  "config",
+  "create",
+  "dlx",
+  "exec",
+  "i",
+  "info",
+  "init",
+  "install",
+  "link",
+  "list",
+  "ls",
+  "outdated",
+  "pack",
+  "publish",
+  "rebuild",
+  "remove",
+  "rm",
+  "run",
+  "run-script",
+  "unlink",
+  "up",
+  "update",
+  "upgrade",
+  "version",
+  "why",
+  "workspace",
+  "workspaces",
+];
+const NPM_SCRIPT_SHORTCUTS = {
+  start: "start",
+  stop: "stop",
+  restart: "restart",
+  test: "test",
+  t: "test",
+};
+const SHELL_BUILTINS = [
+  ":",
+  ".",
+  "[",
+  "cd",
+  "echo",
+  "exit",
+  "export",
+  "false",
+  "printf",
+  "pwd",
+  "set",
+  "source",
+  "test",
+  "true",
+  "unset",
+];
+const MAKEFILE_NAMES = ["GNUmakefile", "makefile", "Makefile"];
+// The placeholder `init` writes when package.json has no matching script.
+const PLACEHOLDER_PATTERN = /^\s*echo\s+["']?TODO\b/i;
+const OUTPUT_TAIL_LINES = 20;
+const DEFAULT_COMMAND_TIMEOUT_SECONDS = 300;
+
+// Splits a command line into simple commands (at &&, ||, ;, | and newlines), each a list of
+// words with quotes removed. Subshells and redirections are kept as plain words.
+function splitCommand(command) {
+  const segments = [];
+  let words = [];
+  let word = "";
+  let quote = null;
+  let inWord = false;
+  const endWord = () => {
+    if (inWord) {
+      words.push(word);
+    }
+    word = "";
+    inWord = false;
+  };
+  const endSegment = () => {
+    endWord();
+    if (words.length > 0) {
+      segments.push(words);
+    }
+    words = [];
+  };
+
+  for (let index = 0; index < command.length; index += 1) {
+    const char = command[index];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === "\\" && quote === '"' && index + 1 < command.length) {
+        index += 1;
+        word += command[index];
+      } else {
+        word += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      inWord = true;
+    } else if (char === "\\" && index + 1 < command.length) {
+      index += 1;
+      word += command[index];
+      inWord = true;
+    } else if (char === "&" && /[<>]$/.test(word)) {
+      // Redirections such as 2>&1.
+      word += char;
+    } else if (char === "&" || char === "|" || char === ";" || char === "\n") {
+      if (command[index + 1] === char && char !== ";") {
+        index += 1;
+      }
+      endSegment();
+    } else if (/\s/.test(char)) {
+      endWord();
+    } else {
+      word += char;
+      inWord = true;
+    }
+  }
+  endSegment();
+  return segments;
+}
+
+// Drops leading `VAR=value` assignments and `env`, leaving the executable and its arguments.
+function stripEnvironment(words) {
+  let index = 0;
+  while (index < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index])) {
+    index += 1;
+  }
+  if (words[index] === "env") {
+    index += 1;
+    while (index < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index])) {
+      index += 1;
+    }
+  }
+  return words.slice(index);
+}
+
+// package.json script a simple command runs, e.g. ["pnpm", "lint"] -> "lint", or null.
+function findSegmentScript(words) {
+  const [tool, sub, name] = words;
+  if (!PACKAGE_MANAGERS.includes(tool) || !sub || sub.startsWith("-")) {
+    return null;
+  }
+  if (sub === "run" || sub === "run-script") {
+    return name && !name.startsWith("-") ? name : null;
+  }
+  if (tool === "npm") {
+    return NPM_SCRIPT_SHORTCUTS[sub] || null;
+  }
+  return tool !== "bun" && !PACKAGE_MANAGER_BUILTINS.includes(sub) ? sub : null;
+}
+
+// package.json scripts a shell command runs, e.g. "npm run lint && pnpm test" -> lint, test.
+function findReferencedScripts(command) {
+  return splitCommand(command)
+    .map((words) => findSegmentScript(stripEnvironment(words)))
+    .filter(Boolean);
+}
+
+function isPlaceholderCommand(command) {
+  return PLACEHOLDER_PATTERN.test(command);
+}
+
+// Explicit targets of the project's Makefile, or null when there is none.
+function readMakefileTargets(rootDir) {
+  const name = MAKEFILE_NAMES.find((file) => existsSync(resolve(rootDir, file)));
+  if (!name) {
+    return null;
+  }
+  const targets = [];
+  for (const line of readFileSync(resolve(rootDir, name), "utf8").split(/\r?\n/)) {
+    const match = /^([^\s#:=][^#:=]*?)\s*::?(?!=)/.exec(line);
+    if (!match) {
+      continue;
+    }
+    for (const target of match[1].trim().split(/\s+/)) {
+      if (!target.startsWith(".") && !target.includes("%") && !target.includes("$")) {
+        targets.push(target);
+      }
+    }
+  }
+  return { file: name, targets };
+}
+
+function isExecutableFile(file) {
+  try {
+    return statSync(file).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Whether `name` runs as a command from `rootDir`: a path, a local bin, or a file on PATH.
+function findExecutable(rootDir, name, env) {
+  if (name.includes("/") || name.includes("\\")) {
+    return isExecutableFile(resolve(rootDir, name));
+  }
+  const extensions =
+    process.platform === "win32" ? ["", ...(env.PATHEXT || ".EXE;.CMD;.BAT").split(";")] : [""];
+  const directories = [
+    resolve(rootDir, "node_modules", ".bin"),
+    ...(env.PATH || "").split(delimiter).filter(Boolean),
+  ];
+  return directories.some((directory) =>
+    extensions.some((extension) => isExecutableFile(join(directory, `${name}${extension}`))),
+  );
+}
+
+// Problems that keep `command` from working, found without running it. `context` holds the
+// package.json `scripts`, the Makefile (`readMakefileTargets`) and the environment.
+function verifyCommand(rootDir, command, context) {
+  if (isPlaceholderCommand(command)) {
+    return [
+      { kind: "placeholder", message: "is the placeholder written by init, not a real command" },
+    ];
+  }
+
+  const problems = [];
+  for (const segment of splitCommand(command)) {
+    const words = stripEnvironment(segment);
+    const [tool] = words;
+    if (!tool || tool.startsWith("(") || SHELL_BUILTINS.includes(tool)) {
+      continue;
+    }
+    if (!findExecutable(rootDir, tool, context.env)) {
+      problems.push({ kind: "executable", message: `"${tool}" is not installed or not on PATH` });
+    }
+
+    const script = findSegmentScript(words);
+    if (script && !Object.prototype.hasOwnProperty.call(context.scripts, script)) {
+      problems.push({ kind: "script", message: `package.json has no "${script}" script` });
+    }
+
+    if (tool === "make") {
+      const args = words.slice(1);
+      if (args.some((arg) => ["-C", "-f", "--file", "--directory"].includes(arg))) {
+        continue;
+      }
+      if (!context.makefile) {
+        problems.push({ kind: "make-target", message: "there is no Makefile" });
+        continue;
+      }
+      for (const target of args.filter((arg) => !arg.startsWith("-") && !arg.includes("="))) {
+        if (!context.makefile.targets.includes(target)) {
+          problems.push({
+            kind: "make-target",
+            message: `${context.makefile.file} has no "${target}" target`,
+          });
+        }
+      }
+    }
+  }
+  return problems;
+}
+
+// Stops the shell and everything it started. On POSIX the shell leads its own process group
+// (see `runCommand`), so killing the group also reaches commands after `;` or `&&`.
+function killCommand(child) {
+  try {
+    if (process.platform === "win32") {
+      child.kill("SIGKILL");
+    } else {
+      process.kill(-child.pid, "SIGKILL");
+    }
+  } catch {
+    // The command exited on its own in the meantime.
+  }
+}
+
+// Runs `command` through the shell. Resolves to `{ status, exitCode, durationMs, output }` where
+// status is "pass", "fail" or "timeout" and output holds the last lines of stdout and stderr.
+function runCommand(rootDir, command, timeoutMs) {
+  const started = Date.now();
+  return new Promise((resolveResult) => {
+    const child = spawn(command, {
+      cwd: rootDir,
+      shell: true,
+      detached: process.platform !== "win32",
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const stdout = [];
+    const stderr = [];
+    let timedOut = false;
+    child.stdout.on("data", (chunk) => stdout.push(chunk));
+    child.stderr.on("data", (chunk) => stderr.push(chunk));
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killCommand(child);
+    }, timeoutMs);
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      resolveResult({
+        status: "fail",
+        exitCode: null,
+        durationMs: Date.now() - started,
+        output: [error.message],
+      });
+    });
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      const durationMs = Date.now() - started;
+      const text = `${Buffer.concat(stdout)}${Buffer.concat(stderr)}`.trimEnd();
+      const output = text ? text.split(/\r?\n/).slice(-OUTPUT_TAIL_LINES) : [];
+      if (timedOut) {
+        resolveResult({ status: "timeout", exitCode: null, durationMs, output });
+        return;
+      }
+      resolveResult({ status: code === 0 ? "pass" : "fail", exitCode: code, durationMs, output });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_COMMAND_TIMEOUT_SECONDS,
+  findReferencedScripts,
+  isPlaceholderCommand,
+  readMakefileTargets,
+  runCommand,
+  splitCommand,
+  verifyCommand,
+};
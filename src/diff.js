@@ -0,0 +1,241 @@
+// Line-based diffs and three-way merges for generated files. Texts are compared line by line
+// after normalizing CRLF, using a longest-common-subsequence match.
+
+function splitLines(text) {
+  return text.replace(/\r\n/g, "\n").split("\n");
+}
+
+// Returns `[{ type, line }]` where type is " " (kept), "-" (only in oldLines) or "+" (only in
+// newLines). Removals come before additions within a changed run.
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start += 1;
+  }
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd -= 1;
+    newEnd -= 1;
+  }
+
+  const rows = oldEnd - start;
+  const columns = newEnd - start;
+  // lengths[i][j]: LCS length of oldLines[start + i..oldEnd) and newLines[start + j..newEnd).
+  const lengths = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = columns - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        oldLines[start + i] === newLines[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, start).map((line) => ({ type: " ", line }));
+  let i = 0;
+  let j = 0;
+  const removed = [];
+  const added = [];
+  const flush = () => {
+    ops.push(...removed.splice(0).map((line) => ({ type: "-", line })));
+    ops.push(...added.splice(0).map((line) => ({ type: "+", line })));
+  };
+  while (i < rows || j < columns) {
+    if (i < rows && j < columns && oldLines[start + i] === newLines[start + j]) {
+      flush();
+      ops.push({ type: " ", line: oldLines[start + i] });
+      i += 1;
+      j += 1;
+    } else if (j >= columns || (i < rows && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      removed.push(oldLines[start + i]);
+      i += 1;
+    } else {
+      added.push(newLines[start + j]);
+      j += 1;
+    }
+  }
+  flush();
+  ops.push(...oldLines.slice(oldEnd).map((line) => ({ type: " ", line })));
+  return ops;
+}
+
+// For every line of `base`, the index of the matching line in `other` (or -1).
+function matchLines(base, other) {
+  const matches = new Array(base.length).fill(-1);
+  let baseIndex = 0;
+  let otherIndex = 0;
+  for (const op of diffLines(base, other)) {
+    if (op.type === " ") {
+      matches[baseIndex] = otherIndex;
+    }
+    if (op.type !== "+") {
+      baseIndex += 1;
+    }
+    if (op.type !== "-") {
+      otherIndex += 1;
+    }
+  }
+  return matches;
+}
+
+function sameLines(left, right) {
+  return left.length === right.length && left.every((line, index) => line === right[index]);
+}
+
+// Merges the changes `ours` and `theirs` each made to `base`. Regions changed differently on
+// both sides are written as conflict blocks labelled with `labels.ours` / `labels.theirs`.
+// Returns `{ text, conflicts }` with the number of conflict blocks.
+function mergeText(base, ours, theirs, labels) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+  const names = labels || {};
+  const output = [];
+  let conflicts = 0;
+  let baseIndex = 0;
+  let ourIndex = 0;
+  let theirIndex = 0;
+
+  while (baseIndex <= baseLines.length) {
+    // Next base line kept by both sides; everything before it is a changed region.
+    let stable = baseIndex;
+    while (stable < baseLines.length && (ourMatches[stable] < 0 || theirMatches[stable] < 0)) {
+      stable += 1;
+    }
+    const atEnd = stable === baseLines.length;
+    const ourStop = atEnd ? ourLines.length : ourMatches[stable];
+    const theirStop = atEnd ? theirLines.length : theirMatches[stable];
+    const baseChunk = baseLines.slice(baseIndex, stable);
+    const ourChunk = ourLines.slice(ourIndex, ourStop);
+    const theirChunk = theirLines.slice(theirIndex, theirStop);
+
+    if (sameLines(ourChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      output.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk)) {
+      output.push(...ourChunk);
+    } else {
+      conflicts += 1;
+      output.push(
+        `<<<<<<< ${names.ours || "ours"}`,
+        ...ourChunk,
+        "=======",
+        ...theirChunk,
+        `>>>>>>> ${names.theirs || "theirs"}`,
+      );
+    }
+
+    if (atEnd) {
+      break;
+    }
+    output.push(baseLines[stable]);
+    baseIndex = stable + 1;
+    ourIndex = ourStop + 1;
+    theirIndex = theirStop + 1;
+  }
+
+  return { text: output.join("\n"), conflicts };
+}
+
+// 1-based line of `oldText` where the first difference from `newText` starts.
+function firstChangedLine(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const ops = diffLines(oldLines, splitLines(newText));
+  const index = ops.findIndex((op) => op.type !== " ");
+  const kept = ops.slice(0, index < 0 ? 0 : index).filter((op) => op.type !== "+").length;
+  return Math.min(kept + 1, oldLines.length);
+}
+
+// Lines of a file for a patch, and whether the last one ends with a newline.
+function patchLines(text) {
+  const lines = splitLines(text);
+  const endsWithNewline = lines[lines.length - 1] === "";
+  if (endsWithNewline) {
+    lines.pop();
+  }
+  return { lines, endsWithNewline };
+}
+
+function hunkRange(start, count) {
+  // An empty range points at the line before it, as in `diff -u` and git.
+  const first = count === 0 ? start - 1 : start;
+  return count === 1 ? `${first}` : `${first},${count}`;
+}
+
+// Unified diff between two versions of `path` that `git apply` and `patch -p1` accept. A
+// missing side (null) is shown as /dev/null. Returns "" when the texts are equal.
+function formatUnifiedDiff(oldText, newText, options) {
+  const opts = options || {};
+  const context = typeof opts.context === "number" ? opts.context : 3;
+  const before = patchLines(oldText === null ? "" : oldText);
+  const after = patchLines(newText === null ? "" : newText);
+  const ops = diffLines(before.lines, after.lines);
+  // Without a trailing newline the last line differs even when its text is the same.
+  if (before.endsWithNewline !== after.endsWithNewline && ops.length > 0) {
+    const last = ops[ops.length - 1];
+    if (last.type === " ") {
+      ops.splice(ops.length - 1, 1, { type: "-", line: last.line }, { type: "+", line: last.line });
+    }
+  }
+
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    oldLine += op.type === "+" ? 0 : 1;
+    newLine += op.type === "-" ? 0 : 1;
+  }
+
+  const changed = ops
+    .map((op, index) => (op.type === " " ? -1 : index))
+    .filter((index) => index >= 0);
+  if (changed.length === 0) {
+    return "";
+  }
+
+  const hunks = [];
+  for (const index of changed) {
+    const hunk = hunks[hunks.length - 1];
+    if (hunk && index - hunk.end <= context * 2 + 1) {
+      hunk.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const output = [
+    `--- ${oldText === null ? "/dev/null" : `a/${opts.path}`}`,
+    `+++ ${newText === null ? "/dev/null" : `b/${opts.path}`}`,
+  ];
+  const lastOld = before.lines.length - 1;
+  const lastNew = after.lines.length - 1;
+  for (const hunk of hunks) {
+    const first = Math.max(0, hunk.start - context);
+    const slice = ops.slice(first, Math.min(ops.length, hunk.end + context + 1));
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+    output.push(
+      `@@ -${hunkRange(slice[0].oldLine, oldCount)} +${hunkRange(slice[0].newLine, newCount)} @@`,
+    );
+    for (const op of slice) {
+      output.push(`${op.type}${op.line}`);
+      const oldIsLast = op.type !== "+" && op.oldLine - 1 === lastOld && !before.endsWithNewline;
+      const newIsLast = op.type !== "-" && op.newLine - 1 === lastNew && !after.endsWithNewline;
+      if (oldIsLast || newIsLast) {
+        output.push("\\ No newline at end of file");
+      }
+    }
+  }
+  return output.join("\n");
+}
+
+module.exports = {
+  diffLines,
+  firstChangedLine,
+  formatUnifiedDiff,
+  mergeText,
+  splitLines,
+};
@@ -1,19 +1,64 @@
 #!/usr/bin/env node
-const { dirname, isAbsolute, relative, resolve } = require("node:path");
-const { existsSync, lstatSync, mkdirSync, readFileSync, writeFileSync } = require("node:fs");
-const { ADAPTERS, ADAPTERS_BY_ID } = require("./adapters");
+const { basename, dirname, isAbsolute, relative, resolve } = require("node:path");
+const {
+  existsSync,
+  lstatSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  unlinkSync,
+  writeFileSync,
+} = require("node:fs");
+const { createRequire } = require("node:module");
+const { firstChangedLine, formatUnifiedDiff, mergeText } = require("./diff");
+const { findOrigin, mergeLayers } = require("./layers");
+const {
+  applyPresetToTargets,
+  findPreset,
+  loadPresets,
+  resolvePresetTargets,
+} = require("./presets");
+const { STATE_RELATIVE_PATH, hashContent, readState, writeState } = require("./state");
+const {
+  DEFAULT_COMMAND_TIMEOUT_SECONDS,
+  findReferencedScripts,
+  readMakefileTargets,
+  runCommand,
+  verifyCommand,
+} = require("./commands");
+const { getRulesVersion, migrateRulesData } = require("./migrations");
+const {
+  REPORTERS,
+  REPORT_FORMATS,
+  createProjectReport,
+  formatGithubAnnotations,
+  formatJsonReport,
+  formatJunitReport,
+  formatNdjsonRecords,
+  formatSarifReport,
+  toReportDiagnostic,
+} = require("./report");
+const { LATEST_RULES_VERSION, getRulesSchema, validateAgainstSchema } = require("./schema");
+const { isScopeFile, selectItems } = require("./adapters/common");
+const { findNodeAtPath, parseYaml, toValue } = require("./yaml");
+const { renderYamlEntry, setYamlValue, updateYamlText } = require("./yaml-edit");
+const {
+  ADAPTERS,
+  ADAPTERS_BY_ID,
+  createAdapterRegistry,
+  createTemplateAdapter,
+  normalizeAdapterOutputs,
+  validateAdapter,
+} = require("./adapters");
 
 const RULES_RELATIVE_PATH = ".agentrules/rules.yaml";
 const IMPORT_REPORT_RELATIVE_PATH = ".agentrules/import-report.md";
-const REQUIRED_RULE_KEYS = [
-  "version",
-  "mission",
-  "workflow",
-  "commands",
-  "done",
-  "approvals",
-  "targets",
-];
+const REQUIRED_RULE_KEYS = getRulesSchema()["x-rules-doctor"].recommended;
+const TEMPLATE_TARGET_KEYS = ["template", "management", "marker_begin", "marker_end"];
+const TARGET_CONTENT_KEYS = ["override", "extra"];
+const EXTENDS_PARENT = "parent";
+const RECURSIVE_SEARCH_DEPTH = 4;
+const BACKUP_FILE_PATTERN = /\.rules-doctor\.bak\.[^/\\]+$/;
 
 function usage() {
   const targets = ADAPTERS.map((adapter) => adapter.id).join("|");
@@ -21,12 +66,26 @@ function usage() {
     "rules-doctor",
     "",
     "Usage:",
-    "  rules-doctor init [--import]",
-    `  rules-doctor sync [--target all|${targets}|<comma-separated-targets>] [--diff] [--write] [--backup]`,
-    `  rules-doctor check [--target all|${targets}|<comma-separated-targets>] [--diff]`,
+    "  rules-doctor init [--import] [--preset <name>]",
+    `  rules-doctor sync [--target all|${targets}|<comma-separated-targets>] [--diff] [--diff-context <n>] [--format text|json|ndjson] [--write] [--backup] [--prune] [--force] [--conflict-markers] [--recursive]`,
+    `  rules-doctor check [--target all|${targets}|<comma-separated-targets>] [--diff] [--diff-context <n>] [--format text|json|ndjson] [--reporter sarif|junit|github] [--recursive]`,
+    "  rules-doctor schema [--version <n>]",
+    "  rules-doctor migrate [--to <n>] [--write] [--backup]",
+    "  rules-doctor explain <key>",
+    "  rules-doctor adopt <target> [--write]",
+    `  rules-doctor pull --target <${targets}> [--write]`,
+    "  rules-doctor doctor [--fix]",
+    "  rules-doctor preset list",
+    "  rules-doctor preset apply <name> [--write]",
+    "  rules-doctor verify-commands [--run] [--timeout <seconds>]",
     "",
     "Notes:",
-    "  - sync defaults to dry-run. Add --write to apply changes.",
+    "  - sync, migrate and preset apply default to dry-run. Add --write to apply changes.",
+    "  - --recursive also runs in nested packages that have their own .agentrules/rules.yaml.",
+    "  - --prune removes generated files whose target was disabled or moved.",
+    "  - sync refuses to overwrite hand-edited full-managed files unless --force is given.",
+    "  - --diff prints unified diffs (3 lines of context by default) that git apply accepts.",
+    "  - --format json prints one report document; --format ndjson prints one record per line.",
   ].join("\n");
 }
 
@@ -70,295 +129,15 @@ function stripQuotes(value) {
   return trimmed;
 }
 
-function stripInlineComment(value) {
-  const input = String(value);
-  let inSingle = false;
-  let inDouble = false;
-  let escaped = false;
-
-  for (let index = 0; index < input.length; index += 1) {
-    const char = input[index];
-
-    if (escaped) {
-      escaped = false;
-      continue;
-    }
-
-    if (char === "\\" && inDouble) {
-      escaped = true;
-      continue;
-    }
-
-    if (char === "'" && !inDouble) {
-      if (inSingle && input[index + 1] === "'") {
-        index += 1;
-        continue;
-      }
-      inSingle = !inSingle;
-      continue;
-    }
-
-    if (char === '"' && !inSingle) {
-      inDouble = !inDouble;
-      continue;
-    }
-
-    if (char === "#" && !inSingle && !inDouble) {
-      const previous = index > 0 ? input[index - 1] : " ";
-      if (/\s/.test(previous)) {
-        return input.slice(0, index).trimEnd();
-      }
-    }
-  }
-
-  return input.trimEnd();
-}
-
-function splitTopLevel(value, delimiter) {
-  const input = String(value);
-  const parts = [];
-  let inSingle = false;
-  let inDouble = false;
-  let escaped = false;
-  let braceDepth = 0;
-  let bracketDepth = 0;
-  let parenDepth = 0;
-  let last = 0;
-
-  for (let index = 0; index < input.length; index += 1) {
-    const char = input[index];
-
-    if (escaped) {
-      escaped = false;
-      continue;
-    }
-
-    if (char === "\\" && inDouble) {
-      escaped = true;
-      continue;
-    }
-
-    if (char === "'" && !inDouble) {
-      if (inSingle && input[index + 1] === "'") {
-        index += 1;
-        continue;
-      }
-      inSingle = !inSingle;
-      continue;
-    }
-
-    if (char === '"' && !inSingle) {
-      inDouble = !inDouble;
-      continue;
-    }
-
-    if (inSingle || inDouble) {
-      continue;
-    }
-
-    if (char === "{") {
-      braceDepth += 1;
-      continue;
-    }
-    if (char === "}") {
-      braceDepth = Math.max(0, braceDepth - 1);
-      continue;
-    }
-    if (char === "[") {
-      bracketDepth += 1;
-      continue;
-    }
-    if (char === "]") {
-      bracketDepth = Math.max(0, bracketDepth - 1);
-      continue;
-    }
-    if (char === "(") {
-      parenDepth += 1;
-      continue;
-    }
-    if (char === ")") {
-      parenDepth = Math.max(0, parenDepth - 1);
-      continue;
-    }
-
-    if (char === delimiter && braceDepth === 0 && bracketDepth === 0 && parenDepth === 0) {
-      parts.push(input.slice(last, index));
-      last = index + 1;
-    }
-  }
-
-  parts.push(input.slice(last));
-  return parts;
-}
-
-function splitKeyValueLine(line, options) {
-  const opts = options || {};
-  const input = String(line);
-  let inSingle = false;
-  let inDouble = false;
-  let escaped = false;
-
-  for (let index = 0; index < input.length; index += 1) {
-    const char = input[index];
-
-    if (escaped) {
-      escaped = false;
-      continue;
-    }
-
-    if (char === "\\" && inDouble) {
-      escaped = true;
-      continue;
-    }
-
-    if (char === "'" && !inDouble) {
-      if (inSingle && input[index + 1] === "'") {
-        index += 1;
-        continue;
-      }
-      inSingle = !inSingle;
-      continue;
-    }
-
-    if (char === '"' && !inSingle) {
-      inDouble = !inDouble;
-      continue;
-    }
-
-    if (char === ":" && !inSingle && !inDouble) {
-      const next = input[index + 1];
-      if (!opts.allowTightValue && typeof next !== "undefined" && !/\s/.test(next)) {
-        continue;
-      }
-      const key = stripQuotes(input.slice(0, index).trim());
-      if (!key) {
-        return null;
-      }
-      return [key, input.slice(index + 1)];
-    }
-  }
-
-  return null;
-}
-
-function parseInlineCollection(value) {
-  const input = String(value).trim();
-  if (input.startsWith("{") && input.endsWith("}")) {
-    const inner = input.slice(1, -1).trim();
-    if (!inner) {
-      return {};
-    }
-
-    const result = {};
-    for (const entry of splitTopLevel(inner, ",")) {
-      const item = entry.trim();
-      if (!item) {
-        continue;
-      }
-
-      const pair = splitKeyValueLine(item, { allowTightValue: true });
-      if (!pair) {
-        return undefined;
-      }
-      result[pair[0]] = parseScalar(pair[1]);
-    }
-    return result;
-  }
-
-  if (input.startsWith("[") && input.endsWith("]")) {
-    const inner = input.slice(1, -1).trim();
-    if (!inner) {
-      return [];
-    }
-    return splitTopLevel(inner, ",").map((item) => parseScalar(item.trim()));
-  }
-
-  return undefined;
-}
-
-function isBlockScalarIndicator(value) {
-  const cleaned = stripInlineComment(value).trim();
-  return /^[|>][-+]?$/.test(cleaned);
-}
-
-function foldBlockLines(lines) {
-  let output = "";
-  for (const line of lines) {
-    if (line === "") {
-      output += "\n";
-      continue;
-    }
-    if (output === "" || output.endsWith("\n")) {
-      output += line;
-    } else {
-      output += ` ${line}`;
-    }
-  }
-  return output;
-}
-
-function parseBlockScalar(lines, startIndex, baseIndent, indicator) {
-  const style = String(indicator).trim().startsWith(">") ? ">" : "|";
-  const rawBlock = [];
-  let minIndent = Infinity;
-  let index = startIndex + 1;
-
-  while (index < lines.length) {
-    const rawLine = lines[index];
-    const trimmed = rawLine.trim();
-    if (!trimmed) {
-      rawBlock.push("");
-      index += 1;
-      continue;
-    }
-
-    const indent = rawLine.match(/^ */)[0].length;
-    if (indent <= baseIndent) {
-      break;
-    }
-
-    minIndent = Math.min(minIndent, indent);
-    rawBlock.push(rawLine);
-    index += 1;
-  }
-
-  if (rawBlock.length === 0) {
-    return { value: "", nextIndex: startIndex };
-  }
-
-  const normalized = rawBlock.map((line) => {
-    if (!line) {
-      return "";
-    }
-    return line.slice(Math.min(minIndent, line.match(/^ */)[0].length));
-  });
-
-  const value = style === ">" ? foldBlockLines(normalized) : normalized.join("\n");
-  return { value: value.trimEnd(), nextIndex: index - 1 };
-}
-
-function parseScalar(value) {
-  const withoutComment = stripInlineComment(value).trim();
-  if (!withoutComment) {
-    return "";
-  }
-
-  const inlineCollection = parseInlineCollection(withoutComment);
-  if (typeof inlineCollection !== "undefined") {
-    return inlineCollection;
-  }
-
-  const cleaned = stripQuotes(withoutComment);
-  if (/^(true|false)$/i.test(cleaned)) {
-    return cleaned.toLowerCase() === "true";
-  }
-  if (cleaned === "null" || cleaned === "~") {
-    return null;
-  }
-  if (/^-?\d+$/.test(cleaned)) {
-    return Number(cleaned);
-  }
-  return cleaned;
+function parseRulesDocument(text) {
+  const document = parseYaml(text);
+  return {
+    // Rule text is rendered into Markdown, so trailing newlines kept by "|" and ">" block
+    // scalars would only add stray blank lines to generated files.
+    data: toValue(document.root, { trimBlockScalars: true }),
+    root: document.root,
+    errors: document.errors,
+  };
 }
 
 function parseRulesText(text) {
@@ -366,129 +145,8 @@ function parseRulesText(text) {
     return {};
   }
 
-  try {
-    return JSON.parse(text);
-  } catch {
-    // YAML fallback for this project's expected shape.
-  }
-
-  const data = {};
-  const lines = text.replace(/\r\n/g, "\n").split("\n");
-  let section = null;
-  let nested = null;
-  let currentTarget = null;
-  let targetEntryIndent = null;
-
-  for (let lineIndex = 0; lineIndex < lines.length; lineIndex += 1) {
-    const rawLine = lines[lineIndex];
-    if (!rawLine.trim() || rawLine.trim().startsWith("#")) {
-      continue;
-    }
-
-    const indent = rawLine.match(/^ */)[0].length;
-    const line = rawLine.trim();
-
-    if (indent === 0) {
-      nested = null;
-      currentTarget = null;
-      targetEntryIndent = null;
-
-      const top = splitKeyValueLine(line);
-      if (!top) {
-        continue;
-      }
-
-      const key = top[0];
-      const value = stripInlineComment(top[1]).trim();
-
-      if (!value) {
-        section = key;
-        if (key === "workflow" || key === "done") {
-          data[key] = [];
-        } else if (key === "commands" || key === "approvals" || key === "targets") {
-          data[key] = {};
-        }
-      } else {
-        section = null;
-        if (isBlockScalarIndicator(value)) {
-          const parsedBlock = parseBlockScalar(lines, lineIndex, indent, value);
-          data[key] = parsedBlock.value;
-          lineIndex = parsedBlock.nextIndex;
-        } else {
-          data[key] = parseScalar(value);
-        }
-      }
-      continue;
-    }
-
-    if ((section === "workflow" || section === "done") && line.startsWith("- ")) {
-      data[section].push(parseScalar(line.slice(2)));
-      continue;
-    }
-
-    if (section === "commands") {
-      const pair = splitKeyValueLine(line);
-      if (pair) {
-        data.commands[pair[0]] = parseScalar(pair[1]);
-      }
-      continue;
-    }
-
-    if (section === "approvals") {
-      const pair = splitKeyValueLine(line);
-
-      if (pair && pair[0] === "mode") {
-        data.approvals.mode = parseScalar(pair[1]);
-        continue;
-      }
-
-      if (pair && pair[0] === "notes" && !stripInlineComment(pair[1]).trim()) {
-        nested = "notes";
-        if (!Array.isArray(data.approvals.notes)) {
-          data.approvals.notes = [];
-        }
-        continue;
-      }
-
-      if (nested === "notes" && line.startsWith("- ")) {
-        data.approvals.notes.push(parseScalar(line.slice(2)));
-      }
-      continue;
-    }
-
-    if (section === "targets") {
-      const pair = splitKeyValueLine(line);
-      if (!pair) {
-        continue;
-      }
-
-      const key = pair[0];
-      const maybeValue = stripInlineComment(pair[1]).trim();
-
-      if (targetEntryIndent === null) {
-        targetEntryIndent = indent;
-      }
-
-      if (indent === targetEntryIndent) {
-        currentTarget = key;
-        if (!maybeValue) {
-          data.targets[currentTarget] = {};
-        } else {
-          data.targets[currentTarget] = { path: parseScalar(maybeValue), enabled: true };
-        }
-        continue;
-      }
-
-      if (indent > targetEntryIndent && currentTarget) {
-        if (!data.targets[currentTarget] || typeof data.targets[currentTarget] !== "object") {
-          data.targets[currentTarget] = {};
-        }
-        data.targets[currentTarget][key] = parseScalar(maybeValue);
-      }
-    }
-  }
-
-  return data;
+  const { data } = parseRulesDocument(text);
+  return data === null ? {} : data;
 }
 
 function quoteYaml(value) {
@@ -508,9 +166,9 @@ function inferCommandFromScripts(scripts, scriptName) {
   return `echo "TODO: define ${scriptName} command"`;
 }
 
-function createDefaultRules(scripts) {
+function createDefaultRules(scripts, adapters) {
   const targets = {};
-  for (const adapter of ADAPTERS) {
+  for (const adapter of adapters || ADAPTERS) {
     targets[adapter.id] = {
       enabled: true,
       path: adapter.defaultPath,
@@ -518,7 +176,7 @@ function createDefaultRules(scripts) {
   }
 
   return {
-    version: 2,
+    version: LATEST_RULES_VERSION,
     mission: "Ship safe changes quickly while keeping agent instructions consistent.",
     workflow: [
       "Read relevant files before editing.",
@@ -551,10 +209,94 @@ function normalizeTargetConfig(source, fallbackPath) {
     return { enabled: true, path: fallbackPath };
   }
 
-  return {
+  const config = {
     enabled: typeof source.enabled === "boolean" ? source.enabled : true,
     path: typeof source.path === "string" && source.path.trim() ? source.path.trim() : fallbackPath,
   };
+  for (const key of TEMPLATE_TARGET_KEYS) {
+    if (typeof source[key] === "string" && source[key].trim()) {
+      config[key] = source[key].trim();
+    }
+  }
+  const includeTags = normalizeTags(source.include_tags);
+  if (includeTags.length > 0) {
+    config.include_tags = includeTags;
+  }
+  for (const key of TARGET_CONTENT_KEYS) {
+    if (isPlainObject(source[key]) && Object.keys(source[key]).length > 0) {
+      config[key] = source[key];
+    }
+  }
+  return config;
+}
+
+function normalizeTags(value) {
+  return Array.isArray(value)
+    ? value.filter((tag) => typeof tag === "string" && tag.trim()).map((tag) => tag.trim())
+    : [];
+}
+
+function normalizeSections(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((section) => isPlainObject(section) && typeof section.title === "string")
+    .filter((section) => section.title.trim())
+    .map((section) => ({
+      title: section.title.trim(),
+      body: Array.isArray(section.body)
+        ? section.body.filter((item) => typeof item === "string")
+        : typeof section.body === "string"
+          ? section.body.trim()
+          : "",
+    }));
+}
+
+// Rule list items stay plain strings unless they carry tags: { text, tags }.
+function normalizeRuleItems(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const items = [];
+  for (const item of value) {
+    if (typeof item === "string") {
+      items.push(item);
+      continue;
+    }
+    if (!isPlainObject(item) || typeof item.text !== "string" || !item.text.trim()) {
+      continue;
+    }
+    const tags = normalizeTags(item.tags);
+    items.push(tags.length > 0 ? { text: item.text, tags } : item.text);
+  }
+  return items;
+}
+
+function normalizeScopes(value) {
+  if (!Array.isArray(value)) {
+    return [];
+  }
+  return value
+    .filter((scope) => isPlainObject(scope) && typeof scope.name === "string" && scope.name.trim())
+    .map((scope) => ({
+      name: scope.name.trim(),
+      ...(typeof scope.description === "string" && scope.description.trim()
+        ? { description: scope.description.trim() }
+        : {}),
+      globs: stringItems(scope.globs).map((glob) => glob.trim()).filter(Boolean),
+      workflow: normalizeRuleItems(scope.workflow) || [],
+      done: normalizeRuleItems(scope.done) || [],
+      notes: normalizeRuleItems(scope.notes) || [],
+      sections: normalizeSections(scope.sections),
+    }));
+}
+
+// Drops empty lists so rewritten scopes only contain what the user wrote.
+function stringifiableScope(scope) {
+  return Object.fromEntries(
+    Object.entries(scope).filter(([, value]) => !Array.isArray(value) || value.length > 0),
+  );
 }
 
 function normalizeRules(input, defaults) {
@@ -564,17 +306,13 @@ function normalizeRules(input, defaults) {
     source.approvals && typeof source.approvals === "object" ? source.approvals : {};
   const sourceTargets = source.targets && typeof source.targets === "object" ? source.targets : {};
 
-  const workflow = Array.isArray(source.workflow)
-    ? source.workflow.filter((item) => typeof item === "string")
-    : defaults.workflow;
+  const workflow = normalizeRuleItems(source.workflow) || defaults.workflow;
+  const done = normalizeRuleItems(source.done) || defaults.done;
+  const notes = normalizeRuleItems(approvals.notes) || defaults.approvals.notes;
 
-  const done = Array.isArray(source.done)
-    ? source.done.filter((item) => typeof item === "string")
-    : defaults.done;
-
-  const notes = Array.isArray(approvals.notes)
-    ? approvals.notes.filter((item) => typeof item === "string")
-    : defaults.approvals.notes;
+  const plugins = Array.isArray(source.plugins)
+    ? source.plugins.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim())
+    : [];
   const normalizedCommands = {};
   for (const [name, value] of Object.entries(commands)) {
     const normalizedName = String(name).trim();
@@ -599,9 +337,21 @@ function normalizeRules(input, defaults) {
     targets[adapter.id] = {
       enabled: typeof config.enabled === "boolean" ? config.enabled : true,
       path: config.path,
+      ...Object.fromEntries(
+        ["include_tags", ...TARGET_CONTENT_KEYS]
+          .filter((key) => config[key])
+          .map((key) => [key, config[key]]),
+      ),
     };
   }
 
+  for (const [pluginId, pluginDefaults] of Object.entries(defaults.targets || {})) {
+    if (targets[pluginId]) {
+      continue;
+    }
+    targets[pluginId] = normalizeTargetConfig(sourceTargets[pluginId], pluginDefaults.path);
+  }
+
   for (const customId of Object.keys(sourceTargets)) {
     if (targets[customId]) {
       continue;
@@ -620,6 +370,9 @@ function normalizeRules(input, defaults) {
       mode: typeof approvals.mode === "string" ? approvals.mode : defaults.approvals.mode,
       notes,
     },
+    sections: normalizeSections(source.sections),
+    scopes: normalizeScopes(source.scopes),
+    plugins,
     targets,
   };
 }
@@ -628,186 +381,247 @@ function isPlainObject(value) {
   return Boolean(value) && typeof value === "object" && !Array.isArray(value);
 }
 
-function getSuspiciousRuleLines(text) {
-  const lines = text.replace(/\r\n/g, "\n").split("\n");
-  const suspicious = [];
-  let blockBaseIndent = null;
-
-  for (let index = 0; index < lines.length; index += 1) {
-    const line = lines[index];
-    const indent = line.match(/^ */)[0].length;
-    const trimmed = line.trim();
-
-    if (blockBaseIndent !== null) {
-      if (!trimmed) {
-        continue;
-      }
-      if (indent > blockBaseIndent) {
-        continue;
-      }
-      blockBaseIndent = null;
-    }
-
-    if (!trimmed || trimmed.startsWith("#")) {
-      continue;
-    }
-
-    const pair = splitKeyValueLine(trimmed, { allowTightValue: true });
-    if (pair) {
-      if (isBlockScalarIndicator(pair[1])) {
-        blockBaseIndent = indent;
-      }
-      continue;
-    }
+function createDiagnosticReporter(root, file) {
+  const diagnostics = [];
+
+  function report(severity, code, path, message, options) {
+    const opts = options || {};
+    const match = findNodeAtPath(root, path);
+    const node = opts.at === "key" && match.key ? match.key : match.value;
+    diagnostics.push({
+      file,
+      line: node ? node.line : 1,
+      column: node ? node.column : 1,
+      severity,
+      code,
+      message,
+      path: path.join("."),
+    });
+  }
 
-    if (/^-\s+/.test(trimmed)) {
-      continue;
-    }
+  return {
+    diagnostics,
+    error(code, path, message, options) {
+      report("error", code, path, message, options);
+    },
+    warning(code, path, message, options) {
+      report("warning", code, path, message, options);
+    },
+  };
+}
 
-    suspicious.push(index + 1);
+function validateRulesSource(source, rawText, options) {
+  const opts = options || {};
+  const document = opts.document || parseYaml(rawText);
+  const file = opts.file || RULES_RELATIVE_PATH;
+  const schema = getRulesSchema();
+  const reporter = createDiagnosticReporter(document.root, file);
+  const { error, warning } = reporter;
+
+  for (const syntaxError of document.errors) {
+    reporter.diagnostics.push({
+      file,
+      line: syntaxError.line,
+      column: syntaxError.column,
+      severity: "error",
+      code: "RD001",
+      message: `YAML syntax error: ${syntaxError.message}.`,
+      path: "",
+    });
   }
-  return suspicious;
-}
 
-function validateRulesSource(source, rawText) {
-  const warnings = [];
-  const errors = [];
+  for (const problem of validateAgainstSchema(source, schema)) {
+    error(problem.code, problem.path, problem.message, { at: problem.at });
+  }
 
   if (!isPlainObject(source)) {
-    errors.push("Top-level YAML must be an object.");
-    return { warnings, errors };
+    return summarizeDiagnostics(reporter.diagnostics);
   }
 
-  const keys = Object.keys(source);
+  const version = getRulesVersion(source);
+  if (version > LATEST_RULES_VERSION) {
+    error(
+      "RD123",
+      ["version"],
+      `rules.yaml version ${version} is newer than this rules-doctor supports (${LATEST_RULES_VERSION}). Upgrade rules-doctor.`,
+    );
+  } else if (version < LATEST_RULES_VERSION) {
+    warning(
+      "RD124",
+      ["version"],
+      `rules.yaml is on version ${version}; run "rules-doctor migrate --write" to upgrade to version ${LATEST_RULES_VERSION}.`,
+    );
+  }
+
+  const keys = Object.keys(source);
   const nonCommentLines = rawText
     .replace(/\r\n/g, "\n")
     .split("\n")
     .filter((line) => line.trim() && !line.trim().startsWith("#"));
   if (keys.length === 0 && nonCommentLines.length > 0) {
-    errors.push("No parseable keys found. Check YAML syntax and indentation.");
+    error("RD101", [], "No parseable keys found. Check YAML syntax and indentation.");
   }
 
-  for (const key of REQUIRED_RULE_KEYS) {
+  // Files that extend another layer only hold overrides; missing keys are inherited.
+  const partial = Boolean(opts.partial);
+  for (const key of partial ? [] : REQUIRED_RULE_KEYS) {
     if (!Object.prototype.hasOwnProperty.call(source, key)) {
-      warnings.push(`Missing "${key}" key; defaults will be applied.`);
+      warning("RD102", [], `Missing "${key}" key; defaults will be applied.`);
     }
   }
 
-  const suspiciousLines = getSuspiciousRuleLines(rawText);
-  if (suspiciousLines.length > 0) {
-    warnings.push(
-      `Suspicious YAML line(s): ${suspiciousLines.slice(0, 8).join(", ")}${
-        suspiciousLines.length > 8 ? ", ..." : ""
-      }`,
-    );
-  }
-
-  if (Object.prototype.hasOwnProperty.call(source, "version") && typeof source.version !== "number") {
-    errors.push(`"version" must be a number.`);
-  }
-  if (
-    Object.prototype.hasOwnProperty.call(source, "mission") &&
-    (typeof source.mission !== "string" || !source.mission.trim())
-  ) {
-    errors.push(`"mission" must be a non-empty string.`);
-  }
-  if (
-    Object.prototype.hasOwnProperty.call(source, "workflow") &&
-    (!Array.isArray(source.workflow) || source.workflow.some((item) => typeof item !== "string"))
-  ) {
-    errors.push(`"workflow" must be an array of strings.`);
-  }
-  if (
-    Object.prototype.hasOwnProperty.call(source, "done") &&
-    (!Array.isArray(source.done) || source.done.some((item) => typeof item !== "string"))
-  ) {
-    errors.push(`"done" must be an array of strings.`);
-  }
-
-  if (Object.prototype.hasOwnProperty.call(source, "commands")) {
-    if (!isPlainObject(source.commands)) {
-      errors.push(`"commands" must be an object.`);
-    } else {
-      for (const [name, value] of Object.entries(source.commands)) {
-        if (typeof value !== "string" || !value.trim()) {
-          errors.push(`"commands.${name}" must be a non-empty string.`);
+  // Checks below depend on more than one value, so the schema cannot express them.
+  const knownTags = collectRuleTags(source);
+  for (const [targetId, config] of Object.entries(
+    isPlainObject(source.targets) ? source.targets : {},
+  )) {
+    if (!isPlainObject(config)) {
+      continue;
+    }
+    const path = ["targets", targetId];
+    if (!partial && !Object.prototype.hasOwnProperty.call(config, "path")) {
+      warning(
+        "RD117",
+        path,
+        `"targets.${targetId}" has no "path"; default path will be used.`,
+        { at: "key" },
+      );
+    }
+    const hasTemplate = typeof config.template === "string" && config.template.trim();
+    if (hasTemplate && ADAPTERS_BY_ID[targetId]) {
+      error(
+        "RD119",
+        [...path, "template"],
+        `"targets.${targetId}.template" is only supported for custom targets.`,
+        { at: "key" },
+      );
+    }
+    if (!Object.prototype.hasOwnProperty.call(config, "template")) {
+      for (const key of ["management", "marker_begin", "marker_end"]) {
+        if (Object.prototype.hasOwnProperty.call(config, key)) {
+          warning(
+            "RD122",
+            [...path, key],
+            `"targets.${targetId}.${key}" is ignored without "template".`,
+            { at: "key" },
+          );
         }
       }
     }
+    const includeTags = Array.isArray(config.include_tags) ? config.include_tags : [];
+    for (const [index, tag] of includeTags.entries()) {
+      if (!partial && typeof tag === "string" && !knownTags.has(tag)) {
+        warning(
+          "RD129",
+          [...path, "include_tags", index],
+          `"targets.${targetId}.include_tags" lists "${tag}", which no rule item is tagged with.`,
+        );
+      }
+    }
   }
 
-  if (Object.prototype.hasOwnProperty.call(source, "approvals")) {
-    if (!isPlainObject(source.approvals)) {
-      errors.push(`"approvals" must be an object.`);
-    } else {
-      if (
-        Object.prototype.hasOwnProperty.call(source.approvals, "mode") &&
-        (typeof source.approvals.mode !== "string" || !source.approvals.mode.trim())
-      ) {
-        errors.push(`"approvals.mode" must be a non-empty string.`);
-      }
-      if (
-        Object.prototype.hasOwnProperty.call(source.approvals, "notes") &&
-        (!Array.isArray(source.approvals.notes) ||
-          source.approvals.notes.some((item) => typeof item !== "string"))
-      ) {
-        errors.push(`"approvals.notes" must be an array of strings.`);
-      }
+  const scopeNames = new Set();
+  for (const [index, scope] of (Array.isArray(source.scopes) ? source.scopes : []).entries()) {
+    if (!isPlainObject(scope) || typeof scope.name !== "string") {
+      continue;
     }
+    if (scopeNames.has(scope.name)) {
+      error("RD132", ["scopes", index, "name"], `Scope "${scope.name}" is defined more than once.`);
+    }
+    scopeNames.add(scope.name);
   }
 
-  if (Object.prototype.hasOwnProperty.call(source, "targets")) {
-    if (!isPlainObject(source.targets)) {
-      errors.push(`"targets" must be an object.`);
-    } else {
-      for (const [targetId, config] of Object.entries(source.targets)) {
-        if (typeof config === "string") {
-          if (!config.trim()) {
-            errors.push(`"targets.${targetId}" must not be empty.`);
-          }
-          continue;
-        }
-        if (!isPlainObject(config)) {
-          errors.push(`"targets.${targetId}" must be a string or object.`);
-          continue;
-        }
-        if (
-          Object.prototype.hasOwnProperty.call(config, "enabled") &&
-          typeof config.enabled !== "boolean"
-        ) {
-          errors.push(`"targets.${targetId}.enabled" must be boolean.`);
-        }
-        if (Object.prototype.hasOwnProperty.call(config, "path")) {
-          if (typeof config.path !== "string" || !config.path.trim()) {
-            errors.push(`"targets.${targetId}.path" must be a non-empty string.`);
-          }
-        } else {
-          warnings.push(`"targets.${targetId}" has no "path"; default path will be used.`);
-        }
+  return summarizeDiagnostics(reporter.diagnostics);
+}
+
+function collectRuleTags(source) {
+  const tags = new Set();
+  const contents = [source];
+  for (const config of Object.values(isPlainObject(source.targets) ? source.targets : {})) {
+    for (const key of TARGET_CONTENT_KEYS) {
+      if (isPlainObject(config) && isPlainObject(config[key])) {
+        contents.push(config[key]);
       }
     }
   }
+  for (const scope of Array.isArray(source.scopes) ? source.scopes : []) {
+    if (isPlainObject(scope)) {
+      contents.push(scope);
+    }
+  }
+  const lists = contents.flatMap((content) => [
+    content.workflow,
+    content.done,
+    content.notes,
+    isPlainObject(content.approvals) ? content.approvals.notes : null,
+  ]);
+  for (const item of lists.flatMap((list) => (Array.isArray(list) ? list : []))) {
+    for (const tag of isPlainObject(item) ? normalizeTags(item.tags) : []) {
+      tags.add(tag);
+    }
+  }
+  return tags;
+}
+
+function summarizeDiagnostics(diagnostics) {
+  const sorted = [...diagnostics].sort(
+    (left, right) => left.line - right.line || left.column - right.column,
+  );
+  return {
+    diagnostics: sorted,
+    errors: sorted.filter((diagnostic) => diagnostic.severity === "error"),
+    warnings: sorted.filter((diagnostic) => diagnostic.severity === "warning"),
+  };
+}
+
+function formatDiagnostic(diagnostic, text) {
+  const location = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}`;
+  const header = `${location}: ${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+  const lines = typeof text === "string" ? text.replace(/\r\n/g, "\n").split("\n") : [];
+  const sourceLine = lines[diagnostic.line - 1];
+  if (typeof sourceLine === "undefined" || !sourceLine.trim()) {
+    return header;
+  }
 
-  return { warnings, errors };
+  const gutter = String(diagnostic.line).length;
+  return [
+    header,
+    `  ${String(diagnostic.line).padStart(gutter)} | ${sourceLine}`,
+    `  ${" ".repeat(gutter)} | ${" ".repeat(Math.max(0, diagnostic.column - 1))}^`,
+  ].join("\n");
 }
 
-function formatValidationMessages(validation) {
+// `text` is the source of the validated file, or an object of sources keyed by diagnostic file
+// when the diagnostics span several layers.
+function formatValidationMessages(validation, text) {
+  const sourceOf = (diagnostic) => (typeof text === "string" ? text : text[diagnostic.file] || "");
   const lines = [];
   if (validation.errors.length > 0) {
     lines.push("rules.yaml validation errors:");
     for (const error of validation.errors) {
-      lines.push(`- ${error}`);
+      lines.push(formatDiagnostic(error, sourceOf(error)));
     }
   }
   if (validation.warnings.length > 0) {
     lines.push("rules.yaml validation warnings:");
     for (const warning of validation.warnings) {
-      lines.push(`- ${warning}`);
+      lines.push(formatDiagnostic(warning, sourceOf(warning)));
     }
   }
   return lines.join("\n");
 }
 
+function stringifyRuleItem(item, indent) {
+  const pad = " ".repeat(indent);
+  if (typeof item === "string") {
+    return [`${pad}- ${quoteYaml(item)}`];
+  }
+  return [
+    `${pad}- text: ${quoteYaml(item.text)}`,
+    `${pad}  tags: [${item.tags.map((tag) => quoteYaml(tag)).join(", ")}]`,
+  ];
+}
+
 function stringifyRules(rules) {
   const knownTargetIds = ADAPTERS.map((adapter) => adapter.id);
   const allTargetIds = [
@@ -824,26 +638,54 @@ function stringifyRules(rules) {
   ];
 
   const lines = [
-    `version: ${quoteYaml(Number.isFinite(rules.version) ? rules.version : 2)}`,
+    `version: ${quoteYaml(Number.isFinite(rules.version) ? rules.version : LATEST_RULES_VERSION)}`,
     `mission: ${quoteYaml(rules.mission)}`,
     "workflow:",
-    ...rules.workflow.map((step) => `  - ${quoteYaml(step)}`),
+    ...rules.workflow.flatMap((step) => stringifyRuleItem(step, 2)),
     "commands:",
     ...orderedCommandNames.map((name) => `  ${name}: ${quoteYaml(rules.commands[name])}`),
     "done:",
-    ...rules.done.map((item) => `  - ${quoteYaml(item)}`),
+    ...rules.done.flatMap((item) => stringifyRuleItem(item, 2)),
     "approvals:",
     `  mode: ${quoteYaml(rules.approvals.mode)}`,
     "  notes:",
-    ...rules.approvals.notes.map((note) => `    - ${quoteYaml(note)}`),
-    "targets:",
+    ...rules.approvals.notes.flatMap((note) => stringifyRuleItem(note, 4)),
   ];
 
+  if (Array.isArray(rules.sections) && rules.sections.length > 0) {
+    lines.push(...renderYamlEntry("sections", rules.sections, 0));
+  }
+
+  if (Array.isArray(rules.scopes) && rules.scopes.length > 0) {
+    lines.push(...renderYamlEntry("scopes", rules.scopes.map(stringifiableScope), 0));
+  }
+
+  if (Array.isArray(rules.plugins) && rules.plugins.length > 0) {
+    lines.push("plugins:");
+    lines.push(...rules.plugins.map((plugin) => `  - ${quoteYaml(plugin)}`));
+  }
+
+  lines.push("targets:");
+
   for (const id of allTargetIds) {
     const config = normalizeTargetConfig(rules.targets[id], `${id.toUpperCase()}.md`);
     lines.push(`  ${id}:`);
     lines.push(`    enabled: ${quoteYaml(config.enabled)}`);
     lines.push(`    path: ${quoteYaml(config.path)}`);
+    for (const key of TEMPLATE_TARGET_KEYS) {
+      if (config[key]) {
+        lines.push(`    ${key}: ${quoteYaml(config[key])}`);
+      }
+    }
+    if (config.include_tags) {
+      const tags = config.include_tags.map((tag) => quoteYaml(tag)).join(", ");
+      lines.push(`    include_tags: [${tags}]`);
+    }
+    for (const key of TARGET_CONTENT_KEYS) {
+      if (config[key]) {
+        lines.push(...renderYamlEntry(key, config[key], 4));
+      }
+    }
   }
 
   lines.push("");
@@ -869,10 +711,11 @@ function resolveInRoot(rootDir, filePath) {
   return resolvedPath;
 }
 
-function assertNoSymlinkTraversal(rootDir, targetPath) {
+// The first symlink on the way from `rootDir` to `targetPath`, relative to the root, or null.
+function findSymlinkInPath(rootDir, targetPath) {
   const rel = relative(rootDir, targetPath);
   if (!rel || rel === ".") {
-    return;
+    return null;
   }
 
   const segments = rel.split(/[/\\]+/).filter(Boolean);
@@ -882,12 +725,18 @@ function assertNoSymlinkTraversal(rootDir, targetPath) {
     if (!existsSync(cursor)) {
       continue;
     }
-    const stats = lstatSync(cursor);
-    if (stats.isSymbolicLink()) {
-      const display = relative(rootDir, cursor) || ".";
-      throw new Error(`Refusing symlink path for managed output: ${display}`);
+    if (lstatSync(cursor).isSymbolicLink()) {
+      return relative(rootDir, cursor) || ".";
     }
   }
+  return null;
+}
+
+function assertNoSymlinkTraversal(rootDir, targetPath) {
+  const symlink = findSymlinkInPath(rootDir, targetPath);
+  if (symlink) {
+    throw new Error(`Refusing symlink path for managed output: ${symlink}`);
+  }
 }
 
 function findProjectRoot(startDir) {
@@ -1027,34 +876,303 @@ function loadPackageScripts(rootDir) {
   return pkg.scripts;
 }
 
-function loadRules(rootDir, options) {
-  const opts = options || {};
+function loadPluginModule(rootDir, spec) {
+  const isPath = spec.startsWith(".") || isAbsolute(spec);
+  const projectRequire = createRequire(resolve(rootDir, "package.json"));
+
+  let resolvedPath;
+  try {
+    resolvedPath = isPath ? require.resolve(resolve(rootDir, spec)) : projectRequire.resolve(spec);
+  } catch {
+    throw new Error(
+      `Cannot find plugin "${spec}". Use a project-relative path or an installed npm package.`,
+    );
+  }
+
+  try {
+    return require(resolvedPath);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to load plugin "${spec}": ${message}`);
+  }
+}
+
+function loadPluginAdapters(rootDir, specs) {
+  const adapters = [];
+  for (const spec of Array.isArray(specs) ? specs : []) {
+    if (typeof spec !== "string" || !spec.trim()) {
+      continue;
+    }
+
+    const exported = loadPluginModule(rootDir, spec.trim());
+    const candidates = Array.isArray(exported) ? exported : [exported];
+    for (const candidate of candidates) {
+      adapters.push(validateAdapter(candidate, `plugin "${spec.trim()}"`));
+    }
+  }
+  return adapters;
+}
+
+// `baseDirFor(id)` names the directory a target's template path is relative to; inherited
+// targets resolve templates from the layer that declared them.
+function loadTemplateAdapters(rootDir, sourceTargets, baseDirFor) {
+  const adapters = [];
+  for (const [id, config] of Object.entries(isPlainObject(sourceTargets) ? sourceTargets : {})) {
+    if (!isPlainObject(config) || typeof config.template !== "string") {
+      continue;
+    }
+
+    const templatePath = config.template.trim();
+    const absolutePath = resolveInRoot(baseDirFor ? baseDirFor(id) : rootDir, templatePath);
+    if (!existsSync(absolutePath)) {
+      throw new Error(`Template for target "${id}" not found: ${templatePath}`);
+    }
+
+    let adapter;
+    try {
+      adapter = createTemplateAdapter({
+        id,
+        templatePath,
+        template: readFileSync(absolutePath, "utf8"),
+        defaultPath: `${id.toUpperCase()}.md`,
+        management: config.management,
+        markerBegin: config.marker_begin,
+        markerEnd: config.marker_end,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Invalid template for target "${id}" (${templatePath}): ${message}`);
+    }
+    adapters.push(validateAdapter(adapter, `template "${templatePath}"`));
+  }
+  return adapters;
+}
+
+function readRulesFile(rootDir) {
   const rulesFile = resolve(rootDir, RULES_RELATIVE_PATH);
-  const defaults = createDefaultRules(loadPackageScripts(rootDir));
 
   if (!existsSync(rulesFile)) {
     throw new Error(`Missing ${rulesFile}. Run "rules-doctor init" to create it first.`);
   }
 
+  return readRulesSource(rulesFile);
+}
+
+function readRulesSource(rulesFile) {
   const rawText = readFileSync(rulesFile, "utf8");
-  const parsed = parseRulesText(rawText);
-  const validation = validateRulesSource(parsed, rawText);
+  const document = parseRulesDocument(rawText);
+  return {
+    rulesFile,
+    rawText,
+    document,
+    parsed: document.data === null ? {} : document.data,
+  };
+}
+
+function findParentRulesRoot(rootDir) {
+  let current = rootDir;
+  while (!existsSync(resolve(current, ".git"))) {
+    const parent = dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+    if (existsSync(resolve(current, RULES_RELATIVE_PATH))) {
+      return current;
+    }
+  }
+  return null;
+}
+
+function getExtendsSpecs(source) {
+  const value = isPlainObject(source) ? source.extends : undefined;
+  const specs = Array.isArray(value) ? value : typeof value === "string" ? [value] : [];
+  return specs.filter((spec) => typeof spec === "string" && spec.trim()).map((spec) => spec.trim());
+}
+
+function findPackageDir(fromDir, name) {
+  let current = fromDir;
+  for (;;) {
+    const candidate = resolve(current, "node_modules", name);
+    if (existsSync(resolve(candidate, "package.json"))) {
+      return candidate;
+    }
+    const parent = dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+// Resolves one `extends` entry of `layer` to a rules file: "parent", a path relative to the
+// layer's project root, or an npm package ("@acme/agent-rules" or "@acme/agent-rules/strict.yaml").
+function resolveExtendsSpec(layer, spec) {
+  if (spec === EXTENDS_PARENT) {
+    const parentRoot = findParentRulesRoot(layer.rootDir);
+    if (!parentRoot) {
+      throw new Error(
+        `${layer.display} has "extends: parent" but no parent ${RULES_RELATIVE_PATH} was found.`,
+      );
+    }
+    return resolve(parentRoot, RULES_RELATIVE_PATH);
+  }
+
+  if (spec.startsWith(".") || isAbsolute(spec)) {
+    const rulesFile = resolve(layer.rootDir, spec);
+    if (!existsSync(rulesFile)) {
+      throw new Error(`${layer.display} extends "${spec}", but ${rulesFile} does not exist.`);
+    }
+    return rulesFile;
+  }
+
+  const segments = spec.split("/");
+  const nameLength = spec.startsWith("@") ? 2 : 1;
+  const packageDir = findPackageDir(layer.rootDir, segments.slice(0, nameLength).join("/"));
+  const subpath = segments.slice(nameLength).join("/");
+  const candidates = packageDir
+    ? subpath
+      ? [resolve(packageDir, subpath)]
+      : [resolve(packageDir, "rules.yaml"), resolve(packageDir, RULES_RELATIVE_PATH)]
+    : [];
+  const rulesFile = candidates.find((candidate) => existsSync(candidate));
+  if (!rulesFile) {
+    throw new Error(
+      `Cannot resolve "${spec}" in ${layer.display} extends. Use "parent", a project-relative path or an installed npm package that ships a rules.yaml.`,
+    );
+  }
+  return rulesFile;
+}
+
+// A rules file's project root: the directory holding `.agentrules/`, or the file's own directory
+// for shared files such as `../shared/rules.yaml` or a package's `rules.yaml`.
+function getLayerRoot(rulesFile) {
+  const dir = dirname(rulesFile);
+  return basename(dir) === ".agentrules" ? dirname(dir) : dir;
+}
+
+// Reads the project's rules.yaml and every file it extends, depth first, base layers first.
+// Later entries in an `extends` list win over earlier ones, and the extending file wins over all.
+function loadRulesLayers(rootDir) {
+  const layers = [];
+  const loaded = new Set();
+  const display = (file) => relative(rootDir, file).split("\\").join("/");
+
+  function visit(rulesFile, chain, shared) {
+    if (chain.includes(rulesFile)) {
+      throw new Error(
+        `rules.yaml extends cycle: ${[...chain, rulesFile].map(display).join(" -> ")}`,
+      );
+    }
+    if (loaded.has(rulesFile)) {
+      return;
+    }
+
+    const file = chain.length === 0 ? readRulesFile(rootDir) : readRulesSource(rulesFile);
+    const specs = getExtendsSpecs(file.parsed);
+    const layer = {
+      ...file,
+      rulesFile,
+      rootDir: chain.length === 0 ? rootDir : getLayerRoot(rulesFile),
+      display: display(rulesFile),
+      data: file.parsed,
+      // Files that extend others, and shared baselines, only hold part of the rules.
+      partial: shared || specs.length > 0,
+    };
+    for (const spec of specs) {
+      visit(resolveExtendsSpec(layer, spec), [...chain, rulesFile], spec !== EXTENDS_PARENT);
+    }
+    loaded.add(rulesFile);
+    layers.push(layer);
+  }
+
+  visit(resolve(rootDir, RULES_RELATIVE_PATH), [], false);
+  return layers;
+}
+
+function validateRulesLayers(layers, logger) {
+  const validations = layers.map((layer) =>
+    validateRulesSource(layer.parsed, layer.rawText, {
+      document: layer.document,
+      file: layer.display,
+      partial: layer.partial,
+    }),
+  );
+  const validation = {
+    errors: validations.flatMap((item) => item.errors),
+    warnings: validations.flatMap((item) => item.warnings),
+  };
+  const texts = Object.fromEntries(layers.map((layer) => [layer.display, layer.rawText]));
   if (validation.errors.length > 0) {
-    throw new Error(formatValidationMessages(validation));
+    const error = new Error(formatValidationMessages(validation, texts));
+    // Structured output reports the diagnostics themselves instead of the formatted message.
+    error.diagnostics = [...validation.errors, ...validation.warnings];
+    throw error;
   }
-  if (validation.warnings.length > 0 && opts.logger && typeof opts.logger.log === "function") {
-    opts.logger.log(formatValidationMessages(validation));
+  if (validation.warnings.length > 0 && logger && typeof logger.log === "function") {
+    logger.log(formatValidationMessages(validation, texts));
   }
+  return validation;
+}
+
+function loadRules(rootDir, options) {
+  const opts = options || {};
+  const layers = loadRulesLayers(rootDir);
+  const validation = validateRulesLayers(layers, opts.logger);
+
+  const { data, origins } = mergeLayers(layers);
+  const baseDirFor = (path) => {
+    const layer = findOrigin(origins, path);
+    return layer ? layer.rootDir : rootDir;
+  };
+  const registry = createAdapterRegistry([
+    ...loadPluginAdapters(baseDirFor(["plugins"]), data.plugins),
+    ...loadTemplateAdapters(rootDir, data.targets, (id) => baseDirFor(["targets", id, "template"])),
+  ]);
+  const defaults = createDefaultRules(loadPackageScripts(rootDir), registry.adapters);
 
   return {
-    rules: normalizeRules(parsed, defaults),
-    rulesFile,
+    rules: normalizeRules(data, defaults),
+    rulesFile: layers[layers.length - 1].rulesFile,
+    registry,
+    layers,
+    data,
+    origins,
+    warnings: validation.warnings,
   };
 }
 
-function getTargetsFromSpec(spec) {
+// Project roots below `rootDir` that have their own rules.yaml (monorepo packages).
+function findNestedProjectRoots(rootDir) {
+  const roots = [];
+  function walk(dir, depth) {
+    let entries;
+    try {
+      entries = readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name === "node_modules" || entry.name.startsWith(".")) {
+        continue;
+      }
+      const child = resolve(dir, entry.name);
+      if (existsSync(resolve(child, RULES_RELATIVE_PATH))) {
+        roots.push(child);
+      }
+      if (depth < RECURSIVE_SEARCH_DEPTH) {
+        walk(child, depth + 1);
+      }
+    }
+  }
+  walk(rootDir, 1);
+  return roots.sort();
+}
+
+function getTargetsFromSpec(spec, registry) {
+  const { adapters, byId } = registry || createAdapterRegistry();
   if (spec === "all") {
-    return ADAPTERS.map((adapter) => adapter.id);
+    return adapters.map((adapter) => adapter.id);
   }
 
   const unique = [];
@@ -1063,9 +1181,9 @@ function getTargetsFromSpec(spec) {
     if (!id) {
       continue;
     }
-    if (!ADAPTERS_BY_ID[id]) {
+    if (!byId[id]) {
       throw new Error(
-        `Unknown target "${id}". Use one of: all, ${ADAPTERS.map((adapter) => adapter.id).join(", ")}`,
+        `Unknown target "${id}". Use one of: all, ${adapters.map((adapter) => adapter.id).join(", ")}`,
       );
     }
     if (!unique.includes(id)) {
@@ -1083,6 +1201,7 @@ function getTargetsFromSpec(spec) {
 function parseInitArgs(args) {
   const options = {
     importExisting: false,
+    preset: null,
   };
 
   for (let index = 0; index < (args || []).length; index += 1) {
@@ -1091,6 +1210,15 @@ function parseInitArgs(args) {
       options.importExisting = true;
       continue;
     }
+    if (arg === "--preset") {
+      const value = args[index + 1];
+      if (!value || value.startsWith("-")) {
+        throw new Error("Missing value for --preset (init)");
+      }
+      options.preset = value;
+      index += 1;
+      continue;
+    }
 
     throw new Error(`Unknown option for init: ${arg}`);
   }
@@ -1098,93 +1226,335 @@ function parseInitArgs(args) {
   return options;
 }
 
-function parseTargetedArgs(commandName, args, extra) {
+function parseSchemaArgs(args) {
   const options = {
-    targetSpec: "all",
-    diff: false,
-    write: false,
-    backup: false,
+    version: undefined,
   };
-  const allowed = extra || {};
 
   for (let index = 0; index < (args || []).length; index += 1) {
     const arg = args[index];
-    if (arg === "--target") {
+    if (arg === "--version") {
       const value = args[index + 1];
       if (!value) {
-        throw new Error(`Missing value for --target (${commandName})`);
+        throw new Error("Missing value for --version (schema)");
       }
-      options.targetSpec = value;
+      options.version = value;
       index += 1;
       continue;
     }
-    if (arg === "--diff") {
-      options.diff = true;
-      continue;
-    }
-    if (arg === "--write" && allowed.write) {
-      options.write = true;
-      continue;
-    }
-    if (arg === "--backup" && allowed.backup) {
-      options.backup = true;
-      continue;
-    }
-    throw new Error(`Unknown option for ${commandName}: ${arg}`);
-  }
 
-  if (options.backup && !options.write) {
-    throw new Error("--backup requires --write.");
+    throw new Error(`Unknown option for schema: ${arg}`);
   }
 
-  return {
-    targetIds: getTargetsFromSpec(options.targetSpec),
-    diff: options.diff,
-    write: options.write,
-    backup: options.backup,
-  };
-}
-
-function getTargetConfig(rules, adapter) {
-  const source = rules.targets && typeof rules.targets === "object" ? rules.targets[adapter.id] : null;
-  return normalizeTargetConfig(source, adapter.defaultPath);
+  return options;
 }
 
-function normalizeHeading(value) {
-  return value.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+function parseExplainArgs(args) {
+  const keys = [];
+  for (const arg of args || []) {
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown option for explain: ${arg}`);
+    }
+    keys.push(arg);
+  }
+  if (keys.length !== 1) {
+    throw new Error("explain takes exactly one key, e.g. rules-doctor explain commands.test");
+  }
+  return { key: keys[0] };
 }
 
-function parseMarkdownSections(text) {
-  const sections = {};
-  const lines = text.replace(/\r\n/g, "\n").split("\n");
-  let currentHeading = null;
-  let currentLines = [];
+function parseAdoptArgs(args) {
+  const options = {
+    targetId: null,
+    write: false,
+  };
 
-  function flush() {
-    if (!currentHeading) {
-      return;
+  for (const arg of args || []) {
+    if (arg === "--write") {
+      options.write = true;
+      continue;
     }
-    const normalized = normalizeHeading(currentHeading);
-    if (!sections[normalized]) {
-      sections[normalized] = currentLines.join("\n").trim();
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown option for adopt: ${arg}`);
     }
+    if (options.targetId) {
+      throw new Error("adopt takes exactly one target.");
+    }
+    options.targetId = arg;
   }
 
-  for (const line of lines) {
-    const heading = line.match(/^#{1,6}\s+(.+?)\s*$/);
-    if (heading) {
-      flush();
-      currentHeading = heading[1];
-      currentLines = [];
+  if (!options.targetId) {
+    throw new Error("Missing target for adopt, e.g. rules-doctor adopt claude");
+  }
+  return options;
+}
+
+function parsePresetArgs(args) {
+  const [action, ...rest] = args || [];
+  const options = {
+    action,
+    name: null,
+    write: false,
+  };
+  if (action !== "list" && action !== "apply") {
+    throw new Error(
+      action
+        ? `Unknown preset action: ${action}. Use "preset list" or "preset apply <name>".`
+        : 'Missing preset action. Use "preset list" or "preset apply <name>".',
+    );
+  }
+
+  for (const arg of rest) {
+    if (arg === "--write" && action === "apply") {
+      options.write = true;
       continue;
     }
-
-    if (currentHeading) {
-      currentLines.push(line);
+    if (arg.startsWith("-") || action === "list" || options.name) {
+      throw new Error(`Unknown option for preset ${action}: ${arg}`);
+    }
+    options.name = arg;
+  }
+
+  if (action === "apply" && !options.name) {
+    throw new Error("Missing preset for preset apply, e.g. rules-doctor preset apply core");
+  }
+  return options;
+}
+
+function parseVerifyCommandsArgs(args) {
+  const options = {
+    run: false,
+    timeout: null,
+  };
+
+  for (let index = 0; index < (args || []).length; index += 1) {
+    const arg = args[index];
+    if (arg === "--run") {
+      options.run = true;
+      continue;
+    }
+    if (arg === "--timeout") {
+      const value = args[index + 1];
+      if (!value || !/^\d+$/.test(value) || Number(value) === 0) {
+        throw new Error("Missing or invalid value for --timeout (verify-commands)");
+      }
+      options.timeout = Number(value);
+      index += 1;
+      continue;
+    }
+
+    throw new Error(`Unknown option for verify-commands: ${arg}`);
+  }
+
+  if (options.timeout && !options.run) {
+    throw new Error("--timeout requires --run.");
+  }
+
+  return options;
+}
+
+function parseDoctorArgs(args) {
+  const options = { fix: false };
+  for (const arg of args || []) {
+    if (arg === "--fix") {
+      options.fix = true;
+      continue;
+    }
+    throw new Error(`Unknown option for doctor: ${arg}`);
+  }
+  return options;
+}
+
+function parseMigrateArgs(args) {
+  const options = {
+    to: undefined,
+    write: false,
+    backup: false,
+  };
+
+  for (let index = 0; index < (args || []).length; index += 1) {
+    const arg = args[index];
+    if (arg === "--to") {
+      const value = args[index + 1];
+      if (!value || !/^\d+$/.test(value)) {
+        throw new Error("Missing or invalid value for --to (migrate)");
+      }
+      options.to = Number(value);
+      index += 1;
+      continue;
+    }
+    if (arg === "--write") {
+      options.write = true;
+      continue;
+    }
+    if (arg === "--backup") {
+      options.backup = true;
+      continue;
+    }
+
+    throw new Error(`Unknown option for migrate: ${arg}`);
+  }
+
+  if (options.backup && !options.write) {
+    throw new Error("--backup requires --write.");
+  }
+
+  return options;
+}
+
+function parseTargetedArgs(commandName, args, extra) {
+  const options = {
+    targetSpec: "all",
+    diff: false,
+    write: false,
+    backup: false,
+    prune: false,
+    force: false,
+    diffContext: 3,
+    format: "text",
+    reporter: null,
+    conflictMarkers: false,
+    recursive: false,
+  };
+  const allowed = extra || {};
+
+  for (let index = 0; index < (args || []).length; index += 1) {
+    const arg = args[index];
+    if (arg === "--target") {
+      const value = args[index + 1];
+      if (!value) {
+        throw new Error(`Missing value for --target (${commandName})`);
+      }
+      options.targetSpec = value;
+      index += 1;
+      continue;
+    }
+    if (arg === "--diff") {
+      options.diff = true;
+      continue;
+    }
+    if (arg === "--diff-context") {
+      const value = args[index + 1];
+      if (!value || !/^\d+$/.test(value)) {
+        throw new Error(`--diff-context expects a number of lines (${commandName})`);
+      }
+      options.diffContext = Number(value);
+      index += 1;
+      continue;
+    }
+    if (arg === "--format" && allowed.format) {
+      const value = args[index + 1];
+      if (!REPORT_FORMATS.includes(value)) {
+        throw new Error(`--format expects one of ${REPORT_FORMATS.join(", ")} (${commandName})`);
+      }
+      options.format = value;
+      index += 1;
+      continue;
+    }
+    if (arg === "--reporter" && allowed.reporter) {
+      const value = args[index + 1];
+      if (!REPORTERS.includes(value)) {
+        throw new Error(`--reporter expects one of ${REPORTERS.join(", ")} (${commandName})`);
+      }
+      options.reporter = value;
+      index += 1;
+      continue;
+    }
+    if (arg === "--write" && allowed.write) {
+      options.write = true;
+      continue;
+    }
+    if (arg === "--backup" && allowed.backup) {
+      options.backup = true;
+      continue;
+    }
+    if (arg === "--force" && allowed.force) {
+      options.force = true;
+      continue;
+    }
+    if (arg === "--conflict-markers" && allowed.conflictMarkers) {
+      options.conflictMarkers = true;
+      continue;
+    }
+    if (arg === "--prune" && allowed.prune) {
+      options.prune = true;
+      continue;
+    }
+    if (arg === "--recursive") {
+      options.recursive = true;
+      continue;
+    }
+    throw new Error(`Unknown option for ${commandName}: ${arg}`);
+  }
+
+  if (options.backup && !options.write) {
+    throw new Error("--backup requires --write.");
+  }
+  if (options.reporter && options.format !== "text") {
+    throw new Error("--reporter cannot be combined with --format.");
+  }
+
+  return {
+    targetSpec: options.targetSpec,
+    diff: options.diff,
+    diffContext: options.diffContext,
+    format: options.format,
+    reporter: options.reporter,
+    write: options.write,
+    backup: options.backup,
+    prune: options.prune,
+    force: options.force,
+    conflictMarkers: options.conflictMarkers,
+    recursive: options.recursive,
+  };
+}
+
+function getTargetConfig(rules, adapter) {
+  const source = rules.targets && typeof rules.targets === "object" ? rules.targets[adapter.id] : null;
+  return normalizeTargetConfig(source, adapter.defaultPath);
+}
+
+function normalizeHeading(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Splits Markdown into headed blocks in document order: [{ title, level, body }].
+function parseMarkdownBlocks(text) {
+  const blocks = [];
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  let current = null;
+
+  function flush() {
+    if (current) {
+      blocks.push({ ...current, body: current.lines.join("\n").trim() });
+    }
+  }
+
+  for (const line of lines) {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*$/);
+    if (heading) {
+      flush();
+      current = { title: heading[2], level: heading[1].length, lines: [] };
+      continue;
+    }
+
+    if (current) {
+      current.lines.push(line);
     }
   }
 
   flush();
+  return blocks.map(({ title, level, body }) => ({ title, level, body }));
+}
+
+function parseMarkdownSections(text) {
+  const sections = {};
+  for (const block of parseMarkdownBlocks(text)) {
+    const normalized = normalizeHeading(block.title);
+    if (!sections[normalized]) {
+      sections[normalized] = block.body;
+    }
+  }
   return sections;
 }
 
@@ -1250,6 +1620,43 @@ function importCommandsFromText(text, commands) {
   return merged;
 }
 
+const IMPORT_SECTION_ALIASES = {
+  mission: ["mission"],
+  workflow: ["workflow", "operational loop"],
+  done: ["done", "done criteria"],
+  approvals: ["approvals", "approval"],
+};
+// Headings rules-doctor itself renders, plus sections whose content is imported elsewhere.
+const IMPORT_IGNORED_HEADINGS = ["commands", "rules doctor managed rules"];
+
+function isKnownImportHeading(title) {
+  const normalized = normalizeHeading(title);
+  return (
+    IMPORT_IGNORED_HEADINGS.includes(normalized) ||
+    Object.values(IMPORT_SECTION_ALIASES).some((aliases) =>
+      aliases.some((alias) => normalizeHeading(alias) === normalized),
+    )
+  );
+}
+
+// Headed blocks that no built-in key claims become custom sections. Level-1 headings are
+// document titles ("# CLAUDE.md") and are skipped.
+function importCustomSections(text) {
+  const sections = [];
+  for (const block of parseMarkdownBlocks(text)) {
+    if (block.level === 1 || !block.body || isKnownImportHeading(block.title)) {
+      continue;
+    }
+    const nonBlank = block.body.split("\n").filter((line) => line.trim());
+    const items = parseListItems(block.body);
+    sections.push({
+      title: block.title,
+      body: items.length === nonBlank.length ? items : block.body,
+    });
+  }
+  return sections;
+}
+
 function getSectionText(sections, aliases) {
   for (const alias of aliases) {
     const key = normalizeHeading(alias);
@@ -1293,7 +1700,7 @@ function collectImportSources(rootDir) {
 }
 
 function importRulesFromDocs(rootDir, defaults) {
-  const imported = JSON.parse(JSON.stringify(defaults));
+  const imported = { sections: [], ...JSON.parse(JSON.stringify(defaults)) };
   const sources = collectImportSources(rootDir);
   const notes = [];
 
@@ -1312,7 +1719,7 @@ function importRulesFromDocs(rootDir, defaults) {
   for (const source of sources) {
     const sections = parseMarkdownSections(source.text);
 
-    const missionSection = getSectionText(sections, ["mission"]);
+    const missionSection = getSectionText(sections, IMPORT_SECTION_ALIASES.mission);
     if (missionSection) {
       const mission = pickFirstNonEmptyLine(missionSection);
       if (mission) {
@@ -1320,19 +1727,19 @@ function importRulesFromDocs(rootDir, defaults) {
       }
     }
 
-    const workflowSection = getSectionText(sections, ["workflow", "operational loop"]);
+    const workflowSection = getSectionText(sections, IMPORT_SECTION_ALIASES.workflow);
     const workflow = parseListItems(workflowSection);
     if (workflow.length > 0) {
       imported.workflow = workflow;
     }
 
-    const doneSection = getSectionText(sections, ["done", "done criteria"]);
+    const doneSection = getSectionText(sections, IMPORT_SECTION_ALIASES.done);
     const done = parseListItems(doneSection);
     if (done.length > 0) {
       imported.done = done;
     }
 
-    const approvalsSection = getSectionText(sections, ["approvals", "approval"]);
+    const approvalsSection = getSectionText(sections, IMPORT_SECTION_ALIASES.approvals);
     if (approvalsSection) {
       const mode = approvalsSection.match(/(?:mode|policy)\s*:\s*`?([a-z0-9_-]+)`?/i);
       if (mode && mode[1]) {
@@ -1345,6 +1752,18 @@ function importRulesFromDocs(rootDir, defaults) {
     }
 
     imported.commands = importCommandsFromText(source.text, imported.commands);
+
+    // A later file wins for a heading it shares with an earlier one, as for built-in keys.
+    for (const section of importCustomSections(source.text)) {
+      const index = imported.sections.findIndex(
+        (existing) => normalizeHeading(existing.title) === normalizeHeading(section.title),
+      );
+      if (index >= 0) {
+        imported.sections[index] = section;
+      } else {
+        imported.sections.push(section);
+      }
+    }
   }
 
   for (const adapter of ADAPTERS) {
@@ -1356,6 +1775,13 @@ function importRulesFromDocs(rootDir, defaults) {
   }
 
   notes.push("Imported mission/workflow/commands/done/approvals where detected.");
+  if (imported.sections.length > 0) {
+    notes.push(
+      `Imported ${imported.sections.length} custom section(s): ${imported.sections
+        .map((section) => section.title)
+        .join(", ")}`,
+    );
+  }
   return {
     rules: imported,
     report: notes.join("\n"),
@@ -1370,6 +1796,11 @@ function initCommand(rootDir, logger, args) {
     return 0;
   }
 
+  // Resolve the preset first so an unknown name or target leaves no rules.yaml behind.
+  const preset = options.preset ? findPreset(loadPresets(rootDir), options.preset) : null;
+  const presetTargets = preset
+    ? resolvePresetTargets(preset, createAdapterRegistry().adapters)
+    : null;
   const defaults = createDefaultRules(loadPackageScripts(rootDir));
   let rules = defaults;
   let importReport = "";
@@ -1379,10 +1810,16 @@ function initCommand(rootDir, logger, args) {
     rules = imported.rules;
     importReport = imported.report;
   }
+  if (presetTargets) {
+    rules = { ...rules, targets: applyPresetToTargets(rules.targets, presetTargets, {}) };
+  }
 
   ensureParentDirectory(rulesFile);
   writeFileSync(rulesFile, stringifyRules(rules), "utf8");
   logger.log(`Created ${rulesFile}`);
+  if (preset) {
+    logger.log(`Preset: ${preset.name} (${describePresetSelection(presetTargets)})`);
+  }
 
   if (options.importExisting) {
     const reportPath = resolve(rootDir, IMPORT_REPORT_RELATIVE_PATH);
@@ -1393,24 +1830,97 @@ function initCommand(rootDir, logger, args) {
   return 0;
 }
 
-function buildTargetPlans(rootDir, rules, targetIds) {
+function stringItems(value) {
+  return Array.isArray(value) ? value.filter((item) => typeof item === "string") : [];
+}
+
+function itemText(item) {
+  return typeof item === "string" ? item : item.text;
+}
+
+// Applies `targets.<id>.override` (replace, then drop `exclude` items), `targets.<id>.extra`
+// (append) and `targets.<id>.include_tags` to the shared rules, yielding the rules object
+// rendered for that one target. Rule lists come out as plain strings.
+function resolveTargetRules(rules, target) {
+  const override = isPlainObject(target.override) ? target.override : {};
+  const extra = isPlainObject(target.extra) ? target.extra : {};
+  const exclude = isPlainObject(override.exclude) ? override.exclude : {};
+  const overrideApprovals = isPlainObject(override.approvals) ? override.approvals : {};
+  const extraApprovals = isPlainObject(extra.approvals) ? extra.approvals : {};
+
+  function select(base, dropped, appended) {
+    const kept = (normalizeRuleItems(base) || []).filter(
+      (item) => !dropped.includes(itemText(item)),
+    );
+    return selectItems([...kept, ...(normalizeRuleItems(appended) || [])], target.include_tags);
+  }
+
+  function list(key) {
+    const base = Array.isArray(override[key]) ? override[key] : rules[key];
+    return select(base, stringItems(exclude[key]), extra[key]);
+  }
+
+  const commands = { ...(isPlainObject(override.commands) ? override.commands : rules.commands) };
+  for (const name of stringItems(exclude.commands)) {
+    delete commands[name];
+  }
+  Object.assign(commands, isPlainObject(extra.commands) ? extra.commands : {});
+
+  return {
+    ...rules,
+    mission:
+      typeof override.mission === "string" && override.mission.trim()
+        ? override.mission
+        : rules.mission,
+    workflow: list("workflow"),
+    done: list("done"),
+    commands,
+    approvals: {
+      mode:
+        typeof overrideApprovals.mode === "string" && overrideApprovals.mode.trim()
+          ? overrideApprovals.mode
+          : rules.approvals.mode,
+      notes: select(
+        Array.isArray(overrideApprovals.notes) ? overrideApprovals.notes : rules.approvals.notes,
+        [],
+        extraApprovals.notes,
+      ),
+    },
+    sections: [
+      ...(Array.isArray(rules.sections) ? rules.sections : []),
+      ...(Array.isArray(extra.sections) ? extra.sections.filter(isPlainObject) : []),
+    ],
+    scopes: (Array.isArray(rules.scopes) ? rules.scopes : []).map((scope) => ({
+      ...scope,
+      workflow: selectItems(scope.workflow, target.include_tags),
+      done: selectItems(scope.done, target.include_tags),
+      notes: selectItems(scope.notes, target.include_tags),
+    })),
+  };
+}
+
+// One plan per output file. Targets render one or more outputs; disabled targets keep a single
+// inert plan for their configured path so they still show up in reports.
+function buildTargetPlans(rootDir, rules, targetIds, registry) {
+  const { byId } = registry || createAdapterRegistry();
   const plans = [];
 
   for (const targetId of targetIds) {
-    const adapter = ADAPTERS_BY_ID[targetId];
+    const adapter = byId[targetId];
     const target = getTargetConfig(rules, adapter);
-    const targetPath = resolveInRoot(rootDir, target.path);
-    assertNoSymlinkTraversal(rootDir, targetPath);
-    const fileExists = existsSync(targetPath);
-    const currentText = fileExists ? readFileSync(targetPath, "utf8") : "";
 
     if (!target.enabled) {
+      const targetPath = resolveInRoot(rootDir, target.path);
+      assertNoSymlinkTraversal(rootDir, targetPath);
+      const fileExists = existsSync(targetPath);
+      const currentText = fileExists ? readFileSync(targetPath, "utf8") : "";
       plans.push({
         targetId,
         adapter,
         enabled: false,
         targetPath,
         targetPathDisplay: target.path,
+        management: adapter.management,
         exists: fileExists,
         currentText,
         desiredText: currentText,
@@ -1419,76 +1929,357 @@ function buildTargetPlans(rootDir, rules, targetIds) {
       continue;
     }
 
-    const rendered = adapter.render(rules).trim();
-    const desiredText =
-      adapter.management === "marker"
-        ? upsertManagedSection(currentText, rendered, adapter.markerBegin, adapter.markerEnd)
-        : `${rendered}\n`;
+    const outputs = normalizeAdapterOutputs(
+      adapter,
+      adapter.render(resolveTargetRules(rules, target), { path: target.path }),
+      target.path,
+    );
+    const outputPlans = outputs.map((output) => buildOutputPlan(rootDir, targetId, adapter, output));
+    plans.push(...outputPlans);
+
+    if (typeof adapter.scopeDir === "function") {
+      const written = new Set(outputPlans.map((plan) => plan.targetPath));
+      plans.push(...buildStaleScopePlans(rootDir, targetId, adapter, target, written));
+    }
+  }
+
+  return plans;
+}
+
+function buildOutputPlan(rootDir, targetId, adapter, output) {
+  const targetPath = resolveInRoot(rootDir, output.path);
+  assertNoSymlinkTraversal(rootDir, targetPath);
+  const fileExists = existsSync(targetPath);
+  const currentText = fileExists ? readFileSync(targetPath, "utf8") : "";
+  const rendered = output.content.trim();
+  const desiredText =
+    output.management === "marker"
+      ? upsertManagedSection(currentText, rendered, output.markerBegin, output.markerEnd)
+      : `${rendered}\n`;
+
+  return {
+    targetId,
+    adapter,
+    enabled: true,
+    targetPath,
+    targetPathDisplay: output.path,
+    management: output.management,
+    markerBegin: output.markerBegin,
+    markerEnd: output.markerEnd,
+    exists: fileExists,
+    currentText,
+    desiredText,
+    changed: desiredText !== currentText,
+  };
+}
 
+// Removals for previously generated scope files in the adapter's scope directory whose scope
+// is gone.
+function buildStaleScopePlans(rootDir, targetId, adapter, target, written) {
+  const plans = [];
+  const scopeDirDisplay = adapter.scopeDir(target.path);
+  const scopeDir = resolveInRoot(rootDir, scopeDirDisplay);
+  for (const name of existsSync(scopeDir) ? readdirSync(scopeDir).sort() : []) {
+    const targetPath = resolve(scopeDir, name);
+    if (written.has(targetPath) || !lstatSync(targetPath).isFile()) {
+      continue;
+    }
+    const currentText = readFileSync(targetPath, "utf8");
+    if (!isScopeFile(currentText)) {
+      continue;
+    }
     plans.push({
       targetId,
       adapter,
       enabled: true,
       targetPath,
-      targetPathDisplay: target.path,
-      exists: fileExists,
+      targetPathDisplay: `${scopeDirDisplay}/${name}`,
+      management: "full",
+      exists: true,
       currentText,
-      desiredText,
-      changed: desiredText !== currentText,
+      desiredText: "",
+      changed: true,
+      remove: true,
     });
   }
 
   return plans;
 }
 
-function renderSimpleDiff(currentText, desiredText) {
-  if (currentText === desiredText) {
-    return "";
-  }
+function toStateKey(rootDir, targetPath) {
+  return relative(rootDir, targetPath).split("\\").join("/");
+}
 
-  const oldLines = currentText.replace(/\r\n/g, "\n").split("\n");
-  const newLines = desiredText.replace(/\r\n/g, "\n").split("\n");
-  const output = ["--- current", "+++ desired"];
-  const maxLines = Math.max(oldLines.length, newLines.length);
-  const hardLimit = 120;
-  let emitted = 0;
+// The part of a file rules-doctor owns: the whole file, or the inside of its marker block.
+// Returns null when a marker block is missing or malformed.
+function extractManagedText(text, output) {
+  if (output.management !== "marker") {
+    return text;
+  }
+  const inspection = inspectMarkerBlock(text, output.markerBegin, output.markerEnd);
+  if (inspection.status !== "valid") {
+    return null;
+  }
+  return text.slice(inspection.firstBegin + output.markerBegin.length, inspection.firstEnd).trim();
+}
 
-  for (let index = 0; index < maxLines; index += 1) {
-    const oldLine = oldLines[index];
-    const newLine = newLines[index];
+function removeManagedSection(existing, beginMarker, endMarker) {
+  const inspection = inspectMarkerBlock(existing, beginMarker, endMarker);
+  if (inspection.status !== "valid") {
+    return existing;
+  }
+  const before = existing.slice(0, inspection.firstBegin).trimEnd();
+  const after = existing.slice(inspection.firstEnd + endMarker.length).trim();
+  const rest = [before, after].filter(Boolean).join("\n\n");
+  return rest ? `${rest}\n` : "";
+}
 
-    if (oldLine === newLine) {
+// Manifest entries for the selected targets that no enabled output produces any more, as
+// prune plans: delete full-managed files, strip the block from marker-managed ones.
+function findOrphanedOutputs(rootDir, state, plans, targetIds, registry) {
+  const current = new Set(
+    plans
+      .filter((plan) => plan.enabled && !plan.remove)
+      .map((plan) => toStateKey(rootDir, plan.targetPath)),
+  );
+  const orphans = [];
+  for (const [key, entry] of Object.entries(state.outputs)) {
+    const owners = stringItems(entry && entry.targets);
+    // Outputs of adapters that are no longer registered (a removed plugin) are orphans too.
+    const selected = owners.some((id) => targetIds.includes(id) || !registry.byId[id]);
+    if (current.has(key) || !selected) {
       continue;
     }
 
-    if (typeof oldLine !== "undefined") {
-      output.push(`-${oldLine}`);
-      emitted += 1;
-    }
-    if (typeof newLine !== "undefined") {
-      output.push(`+${newLine}`);
-      emitted += 1;
-    }
-
-    if (emitted >= hardLimit) {
-      output.push("... diff truncated ...");
-      break;
-    }
+    const targetPath = resolveInRoot(rootDir, key);
+    assertNoSymlinkTraversal(rootDir, targetPath);
+    const fileExists = existsSync(targetPath);
+    const currentText = fileExists ? readFileSync(targetPath, "utf8") : "";
+    const managed = fileExists ? extractManagedText(currentText, entry) : null;
+    const desiredText =
+      fileExists && entry.management === "marker"
+        ? removeManagedSection(currentText, entry.markerBegin, entry.markerEnd)
+        : "";
+    orphans.push({
+      targetId: owners.join(", "),
+      adapter: null,
+      enabled: true,
+      targetPath,
+      targetPathDisplay: key,
+      management: entry.management,
+      markerBegin: entry.markerBegin,
+      markerEnd: entry.markerEnd,
+      exists: fileExists,
+      currentText,
+      desiredText,
+      changed: fileExists,
+      remove: fileExists && !desiredText,
+      prune: true,
+      edited: fileExists && (managed === null || hashContent(managed) !== entry.hash),
+    });
   }
-
-  return output.join("\n");
-}
-
-function formatPlanSummary(plans) {
-  const changed = plans.filter((plan) => plan.changed).length;
-  const changedFiles = new Set(plans.filter((plan) => plan.changed).map((plan) => plan.targetPath)).size;
-  return { changed, changedFiles };
+  return orphans;
 }
 
-function analyzeSharedPathPlans(plans) {
-  const groups = new Map();
+// Flags outputs whose file (or managed block) no longer matches what rules-doctor last wrote.
+// Stale scope files count as hand-edited unless state.json records exactly their content, so
+// sync only deletes files it can prove it generated.
+function markHandEditedPlans(rootDir, state, plans) {
   for (const plan of plans) {
-    if (!plan.enabled) {
+    if (!plan.enabled || !plan.exists || !plan.changed || plan.prune) {
+      continue;
+    }
+    const entry = state.outputs[toStateKey(rootDir, plan.targetPath)];
+    if (plan.remove) {
+      plan.handEdited = !entry || hashContent(plan.currentText) !== entry.hash;
+      continue;
+    }
+    const managed = extractManagedText(plan.currentText, plan);
+    if (!entry || typeof entry.hash !== "string" || managed === null) {
+      continue;
+    }
+    plan.handEdited = hashContent(managed) !== entry.hash;
+  }
+}
+
+// Three-way merges hand-edited managed blocks: the snapshot of the block rules-doctor last
+// generated is the base, the edited block and the newly rendered one are the two sides.
+function mergeHandEditedBlocks(rootDir, state, plans) {
+  for (const plan of plans) {
+    if (!plan.handEdited || plan.management !== "marker") {
+      continue;
+    }
+    const entry = state.outputs[toStateKey(rootDir, plan.targetPath)];
+    if (typeof entry.snapshot !== "string") {
+      continue;
+    }
+    const generated = extractManagedText(plan.desiredText, plan);
+    const merged = mergeText(entry.snapshot, extractManagedText(plan.currentText, plan), generated, {
+      ours: plan.targetPathDisplay,
+      theirs: RULES_RELATIVE_PATH,
+    });
+    plan.generatedText = generated;
+    plan.mergeConflicts = merged.conflicts;
+    plan.desiredText = upsertManagedSection(
+      plan.currentText,
+      merged.text,
+      plan.markerBegin,
+      plan.markerEnd,
+    );
+    plan.changed = plan.desiredText !== plan.currentText;
+  }
+}
+
+function describeMergedPlan(plan) {
+  if (plan.mergeConflicts > 0) {
+    return `would update, ${plan.mergeConflicts} merge conflict(s) with edits to the managed block`;
+  }
+  if (plan.changed) {
+    return "would update, merged with edits to the managed block";
+  }
+  return `kept edits to the managed block; run "rules-doctor pull --target ${plan.targetId}" to copy them into rules.yaml`;
+}
+
+function describePrunePlan(plan) {
+  if (!plan.exists) {
+    return "already removed";
+  }
+  if (plan.edited) {
+    return "orphaned, edited by hand";
+  }
+  return plan.remove ? "would prune" : "would remove managed block";
+}
+
+// Updates the manifest after a write: current outputs are recorded with the hash of what
+// was written, removed and pruned files are forgotten.
+function recordGeneratedOutputs(rootDir, state, plans) {
+  const outputs = {};
+  for (const plan of plans) {
+    const key = toStateKey(rootDir, plan.targetPath);
+    if (plan.prune || plan.remove) {
+      delete state.outputs[key];
+      continue;
+    }
+    if (!plan.enabled) {
+      continue;
+    }
+    if (outputs[key]) {
+      outputs[key].targets.push(plan.targetId);
+      continue;
+    }
+    // After a merge the file keeps hand edits, but the hash and snapshot describe the block
+    // rules-doctor generated, so the edits still count as edits on the next run.
+    const generated =
+      typeof plan.generatedText === "string"
+        ? plan.generatedText
+        : extractManagedText(plan.desiredText, plan);
+    outputs[key] = {
+      targets: [plan.targetId],
+      management: plan.management,
+      ...(plan.management === "marker"
+        ? {
+            markerBegin: plan.markerBegin,
+            markerEnd: plan.markerEnd,
+            snapshot: generated,
+          }
+        : {}),
+      hash: hashContent(generated),
+    };
+  }
+  Object.assign(state.outputs, outputs);
+}
+
+// Unified diff of a changed output, with project-relative a/ b/ paths.
+function formatPlanDiff(rootDir, plan, context) {
+  return formatUnifiedDiff(
+    plan.exists ? plan.currentText : null,
+    plan.remove ? null : plan.desiredText,
+    { path: toStateKey(rootDir, plan.targetPath), context },
+  );
+}
+
+// One patch per output file: targets that write the same content to a shared path (codex and
+// opencode both default to AGENTS.md) share it, so the output still applies with git apply.
+function logPlanDiffs(rootDir, logger, plans, context) {
+  const groups = new Map();
+  for (const plan of plans) {
+    if (!plan.enabled || !plan.changed) {
+      continue;
+    }
+    const key = `${plan.targetPath}\0${plan.remove ? "" : plan.desiredText}`;
+    if (groups.has(key)) {
+      groups.get(key).ids.push(plan.targetId);
+      continue;
+    }
+    groups.set(key, { plan, ids: [plan.targetId] });
+  }
+  for (const { plan, ids } of groups.values()) {
+    logger.log(`\n# diff: ${ids.join(", ")} (${plan.targetPathDisplay})`);
+    logger.log(formatPlanDiff(rootDir, plan, context));
+  }
+}
+
+function describePlanStatus(plan) {
+  if (plan.prune) {
+    return "orphaned";
+  }
+  if (!plan.enabled) {
+    return "disabled";
+  }
+  if (plan.remove) {
+    return "stale";
+  }
+  return plan.changed ? "drift" : "in-sync";
+}
+
+// Line a report points at: the misplaced marker of a malformed block, else the first change.
+function findReportLine(plan, inspection) {
+  if (inspection && inspection.status !== "valid" && inspection.status !== "missing") {
+    const offsets = [inspection.firstBegin, inspection.firstEnd].filter((offset) => offset >= 0);
+    return plan.currentText.slice(0, Math.min(...offsets)).split("\n").length;
+  }
+  if (!plan.exists || !plan.changed) {
+    return 1;
+  }
+  return firstChangedLine(plan.currentText, plan.remove ? "" : plan.desiredText);
+}
+
+// Adds one `targets` entry per plan to a --format json/ndjson report.
+function reportPlans(report, rootDir, plans, options) {
+  for (const plan of plans) {
+    const inspection =
+      plan.enabled && plan.exists && !plan.prune && plan.management === "marker"
+        ? inspectMarkerBlock(plan.currentText, plan.markerBegin, plan.markerEnd)
+        : null;
+    const action = plan.prune ? "prune" : plan.remove ? "remove" : "update";
+    report.targets.push({
+      id: plan.targetId,
+      path: toStateKey(rootDir, plan.targetPath),
+      status: describePlanStatus(plan),
+      line: plan.enabled ? findReportLine(plan, inspection) : 1,
+      action: plan.enabled && plan.changed && options.apply ? action : "none",
+      enabled: plan.enabled,
+      management: plan.management,
+      exists: plan.exists,
+      changed: plan.enabled && plan.changed,
+      handEdited: Boolean(plan.handEdited || plan.edited),
+      mergeConflicts: typeof plan.mergeConflicts === "number" ? plan.mergeConflicts : 0,
+      marker: inspection ? inspection.status : null,
+      diff: plan.enabled && plan.changed ? formatPlanDiff(rootDir, plan, options.diffContext) : null,
+    });
+  }
+}
+
+function formatPlanSummary(plans) {
+  const changed = plans.filter((plan) => plan.changed).length;
+  const changedFiles = new Set(plans.filter((plan) => plan.changed).map((plan) => plan.targetPath)).size;
+  return { changed, changedFiles };
+}
+
+function analyzeSharedPathPlans(plans) {
+  const groups = new Map();
+  for (const plan of plans) {
+    if (!plan.enabled) {
       continue;
     }
     if (!groups.has(plan.targetPath)) {
@@ -1524,7 +2315,8 @@ function analyzeSharedPathPlans(plans) {
   return { shared, conflicts };
 }
 
-function validateSyncPlans(plans) {
+function validateSyncPlans(plans, options) {
+  const opts = options || {};
   const mapping = analyzeSharedPathPlans(plans);
   const issues = mapping.conflicts.map(
     (group) =>
@@ -1533,14 +2325,29 @@ function validateSyncPlans(plans) {
   const warnings = [];
 
   for (const plan of plans) {
-    if (!plan.enabled || !plan.exists || plan.adapter.management !== "marker") {
+    if (plan.mergeConflicts > 0 && !opts.force && !opts.conflictMarkers) {
+      issues.push(
+        `${plan.targetPathDisplay}: ${plan.mergeConflicts} change(s) to the managed block conflict with changes to rules.yaml. Reconcile them by hand, re-run with --conflict-markers to write both versions into the file, or with --force to overwrite the edits.`,
+      );
+    }
+    if (plan.handEdited && plan.remove && !opts.force) {
+      issues.push(
+        `${plan.targetPathDisplay} belongs to a scope that no longer exists, but rules-doctor did not write its current content; refusing to remove it. Delete it by hand, or re-run with --force to remove it.`,
+      );
+    } else if (plan.handEdited && plan.management === "full" && !opts.force) {
+      issues.push(
+        `${plan.targetPathDisplay} was edited by hand since rules-doctor wrote it. Run "rules-doctor adopt ${plan.targetId}" to copy the edits into rules.yaml, or re-run with --force to overwrite them.`,
+      );
+    }
+    if (plan.prune && plan.edited) {
+      issues.push(
+        `${plan.targetPathDisplay} was edited after rules-doctor generated it; refusing to prune. Remove it by hand or drop its entry from ${STATE_RELATIVE_PATH}.`,
+      );
+    }
+    if (!plan.enabled || !plan.exists || plan.prune || plan.management !== "marker") {
       continue;
     }
-    const marker = inspectMarkerBlock(
-      plan.currentText,
-      plan.adapter.markerBegin,
-      plan.adapter.markerEnd,
-    );
+    const marker = inspectMarkerBlock(plan.currentText, plan.markerBegin, plan.markerEnd);
     if (marker.status !== "valid" && marker.status !== "missing") {
       warnings.push(
         `${plan.targetId}: ${markerStatusIssueLabel(marker.status)} rules-doctor will repair it on sync.`,
@@ -1585,44 +2392,171 @@ function getUniqueWritePlans(plans) {
   };
 }
 
+// Runs `runProject` for the root and, with --recursive, for every nested project that has its
+// own rules.yaml. Returns the worst exit code.
+function runForProjects(rootDir, logger, options, runProject) {
+  if (!options.recursive) {
+    return runProject(rootDir);
+  }
+
+  const roots = [
+    ...(existsSync(resolve(rootDir, RULES_RELATIVE_PATH)) ? [rootDir] : []),
+    ...findNestedProjectRoots(rootDir),
+  ];
+  if (roots.length === 0) {
+    throw new Error(`No ${RULES_RELATIVE_PATH} found in ${rootDir} or its subdirectories.`);
+  }
+
+  let exitCode = 0;
+  for (const [index, projectRoot] of roots.entries()) {
+    if (index > 0) {
+      logger.log("");
+    }
+    exitCode = Math.max(exitCode, runProject(projectRoot));
+  }
+  return exitCode;
+}
+
+// Like runForProjects, but each project also fills a report for --format json/ndjson or a
+// --reporter; errors become part of the report. Only the github reporter keeps the text output.
+function runReportedProjects(rootDir, logger, options, commandName, runProject) {
+  if (options.format === "text" && !options.reporter) {
+    return runForProjects(rootDir, logger, options, (projectRoot) =>
+      runProject(projectRoot, logger, null),
+    );
+  }
+
+  const projectLogger =
+    options.reporter === "github" ? logger : { log: () => {}, error: logger.error };
+  const mode = commandName === "check" ? "check" : options.write ? "write" : "dry-run";
+  const projects = [];
+  const exitCode = runForProjects(rootDir, projectLogger, options, (projectRoot) => {
+    const report = createProjectReport(projectRoot, mode);
+    try {
+      report.exitCode = runProject(projectRoot, projectLogger, report);
+    } catch (error) {
+      report.exitCode = 1;
+      const message = error instanceof Error ? error.message : String(error);
+      report.error = error.diagnostics ? "rules.yaml has validation errors." : message;
+      report.diagnostics = (error.diagnostics || []).map(toReportDiagnostic);
+      if (options.reporter === "github") {
+        logger.error(`Error: ${message}`);
+      }
+    }
+    if (options.format === "ndjson") {
+      logger.log(formatNdjsonRecords(commandName, report));
+    }
+    projects.push(report);
+    return report.exitCode;
+  });
+  if (options.format === "json") {
+    logger.log(formatJsonReport(commandName, projects, exitCode));
+  }
+  if (options.reporter === "sarif") {
+    logger.log(formatSarifReport(rootDir, projects));
+  }
+  if (options.reporter === "junit") {
+    logger.log(formatJunitReport(rootDir, projects));
+  }
+  const annotations =
+    options.reporter === "github" ? formatGithubAnnotations(rootDir, projects) : "";
+  if (annotations) {
+    logger.log(annotations);
+  }
+  return exitCode;
+}
+
 function syncCommand(rootDir, logger, args) {
-  const options = parseTargetedArgs("sync", args, { write: true, backup: true });
-  const { rules } = loadRules(rootDir, { logger });
-  const plans = buildTargetPlans(rootDir, rules, options.targetIds);
+  const options = parseTargetedArgs("sync", args, {
+    write: true,
+    backup: true,
+    prune: true,
+    force: true,
+    conflictMarkers: true,
+    format: true,
+  });
+  return runReportedProjects(rootDir, logger, options, "sync", (projectRoot, log, report) =>
+    syncProject(projectRoot, log, options, report),
+  );
+}
+
+function syncProject(rootDir, logger, options, report) {
+  const { rules, registry, warnings } = loadRules(rootDir, { logger });
+  const targetIds = getTargetsFromSpec(options.targetSpec, registry);
+  const plans = buildTargetPlans(rootDir, rules, targetIds, registry);
+  const state = readState(rootDir);
+  markHandEditedPlans(rootDir, state, plans);
+  if (!options.force) {
+    mergeHandEditedBlocks(rootDir, state, plans);
+  }
+  const orphans = findOrphanedOutputs(rootDir, state, plans, targetIds, registry);
+  if (options.prune) {
+    plans.push(...orphans);
+  }
   const summary = formatPlanSummary(plans);
+  if (report) {
+    report.diagnostics = warnings.map(toReportDiagnostic);
+    report.summary = summary;
+    const orphaned = options.prune ? [] : orphans.filter((plan) => plan.exists);
+    reportPlans(report, rootDir, [...plans, ...orphaned], {
+      apply: options.write,
+      diffContext: options.diffContext,
+    });
+  }
 
   logger.log("rules-doctor sync");
   logger.log(`- root: ${rootDir}`);
-  logger.log(`- selected targets: ${options.targetIds.join(", ")}`);
+  logger.log(`- selected targets: ${targetIds.join(", ")}`);
   logger.log(`- mode: ${options.write ? "write" : "dry-run"}`);
 
   for (const plan of plans) {
+    if (plan.prune) {
+      logger.log(`- ${plan.targetId}: ${describePrunePlan(plan)} (${plan.targetPathDisplay})`);
+      continue;
+    }
     if (!plan.enabled) {
       logger.log(`- ${plan.targetId}: disabled (${plan.targetPathDisplay})`);
       continue;
     }
+    if (typeof plan.mergeConflicts === "number") {
+      logger.log(`- ${plan.targetId}: ${describeMergedPlan(plan)} (${plan.targetPathDisplay})`);
+      continue;
+    }
     if (!plan.changed) {
       logger.log(`- ${plan.targetId}: up-to-date (${plan.targetPathDisplay})`);
       continue;
     }
-    logger.log(`- ${plan.targetId}: would update (${plan.targetPathDisplay})`);
+    const edited = plan.handEdited ? ", edited by hand since last sync" : "";
+    if (plan.remove) {
+      logger.log(`- ${plan.targetId}: would remove stale file${edited} (${plan.targetPathDisplay})`);
+      continue;
+    }
+    logger.log(`- ${plan.targetId}: would update${edited} (${plan.targetPathDisplay})`);
+  }
+  if (!options.prune) {
+    for (const orphan of orphans.filter((plan) => plan.exists)) {
+      logger.log(
+        `- ${orphan.targetId}: orphaned (${orphan.targetPathDisplay}); run "rules-doctor sync --prune" to remove it`,
+      );
+    }
   }
 
   if (options.diff) {
-    for (const plan of plans) {
-      if (!plan.enabled || !plan.changed) {
-        continue;
-      }
-      logger.log(`\n# diff: ${plan.targetId} (${plan.targetPathDisplay})`);
-      logger.log(renderSimpleDiff(plan.currentText, plan.desiredText));
-    }
+    logPlanDiffs(rootDir, logger, plans, options.diffContext);
   }
 
   if (options.write) {
-    const preflight = validateSyncPlans(plans);
+    const preflight = validateSyncPlans(plans, {
+      force: options.force,
+      conflictMarkers: options.conflictMarkers,
+    });
     for (const warning of preflight.warnings) {
       logger.log(`  warning: ${warning}`);
     }
+    if (report) {
+      report.warnings = preflight.warnings;
+      report.issues = preflight.issues;
+    }
     if (preflight.issues.length > 0) {
       logger.log("Sync preflight failed:");
       for (const issue of preflight.issues) {
@@ -1638,7 +2572,7 @@ function syncCommand(rootDir, logger, args) {
       logger.log("Dry-run complete: no changes.");
     } else {
       logger.log(
-        `Dry-run complete: ${summary.changedFiles} file(s) would change (${summary.changed} target mappings). Re-run with --write.`,
+        `Dry-run complete: ${summary.changedFiles} file(s) would change (${summary.changed} outputs). Re-run with --write.`,
       );
     }
     return 0;
@@ -1660,44 +2594,61 @@ function syncCommand(rootDir, logger, args) {
       logger.log(`  backup: ${backupPath}`);
     }
 
+    if (plan.remove) {
+      unlinkSync(plan.targetPath);
+      logger.log(`  ${plan.prune ? "pruned" : "removed"}: ${plan.targetPath}`);
+      continue;
+    }
     writeFileSync(plan.targetPath, plan.desiredText, "utf8");
     logger.log(`  updated: ${plan.targetPath}`);
   }
 
+  recordGeneratedOutputs(rootDir, state, plans);
+  if (writeState(rootDir, state)) {
+    logger.log(`  manifest: ${STATE_RELATIVE_PATH}`);
+  }
+
   logger.log(
-    `Write complete: ${uniquePlans.length} file(s) updated (${summary.changed} target mappings changed).`,
+    `Write complete: ${uniquePlans.length} file(s) updated (${summary.changed} outputs changed).`,
   );
   return 0;
 }
 
 function checkCommand(rootDir, logger, args) {
-  const options = parseTargetedArgs("check", args, { write: false, backup: false });
-  const { rules } = loadRules(rootDir, { logger });
-  const plans = buildTargetPlans(rootDir, rules, options.targetIds);
+  const options = parseTargetedArgs("check", args, { format: true, reporter: true });
+  return runReportedProjects(rootDir, logger, options, "check", (projectRoot, log, report) =>
+    checkProject(projectRoot, log, options, report),
+  );
+}
+
+function checkProject(rootDir, logger, options, report) {
+  const { rules, registry, warnings } = loadRules(rootDir, { logger });
+  const targetIds = getTargetsFromSpec(options.targetSpec, registry);
+  const plans = buildTargetPlans(rootDir, rules, targetIds, registry);
+  markHandEditedPlans(rootDir, readState(rootDir), plans);
   const summary = formatPlanSummary(plans);
+  if (report) {
+    report.diagnostics = warnings.map(toReportDiagnostic);
+    report.summary = summary;
+    reportPlans(report, rootDir, plans, { apply: false, diffContext: options.diffContext });
+  }
 
   logger.log("rules-doctor check");
   logger.log(`- root: ${rootDir}`);
-  logger.log(`- selected targets: ${options.targetIds.join(", ")}`);
+  logger.log(`- selected targets: ${targetIds.join(", ")}`);
 
   for (const plan of plans) {
     if (!plan.enabled) {
       logger.log(`- ${plan.targetId}: disabled (${plan.targetPathDisplay})`);
       continue;
     }
-    logger.log(
-      `- ${plan.targetId}: ${plan.changed ? "drift detected" : "in sync"} (${plan.targetPathDisplay})`,
-    );
+    const drift = plan.handEdited ? "drift detected, edited by hand" : "drift detected";
+    const status = plan.remove ? "stale file" : plan.changed ? drift : "in sync";
+    logger.log(`- ${plan.targetId}: ${status} (${plan.targetPathDisplay})`);
   }
 
   if (options.diff) {
-    for (const plan of plans) {
-      if (!plan.enabled || !plan.changed) {
-        continue;
-      }
-      logger.log(`\n# diff: ${plan.targetId} (${plan.targetPathDisplay})`);
-      logger.log(renderSimpleDiff(plan.currentText, plan.desiredText));
-    }
+    logPlanDiffs(rootDir, logger, plans, options.diffContext);
   }
 
   if (summary.changed === 0) {
@@ -1709,6 +2660,787 @@ function checkCommand(rootDir, logger, args) {
   return 1;
 }
 
+function describeDiagnosticFix(diagnostic) {
+  if (diagnostic.code === "RD124") {
+    return 'Run "rules-doctor migrate --write".';
+  }
+  return `Edit ${diagnostic.file} at line ${diagnostic.line}.`;
+}
+
+function doctorRulesFindings(rootDir) {
+  const quiet = { log: () => {}, error: () => {} };
+  try {
+    const loaded = loadRules(rootDir, { logger: quiet });
+    const findings = loaded.warnings.map((diagnostic) => ({
+      check: "rules-yaml",
+      severity: "warning",
+      message: `${diagnostic.file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.code}: ${diagnostic.message}`,
+      fix: describeDiagnosticFix(diagnostic),
+    }));
+    return { loaded, findings };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (!error.diagnostics) {
+      const missing = !existsSync(resolve(rootDir, RULES_RELATIVE_PATH));
+      const fix = missing ? 'Run "rules-doctor init".' : `Fix ${RULES_RELATIVE_PATH}.`;
+      return { loaded: null, findings: [{ check: "rules-yaml", severity: "error", message, fix }] };
+    }
+    const findings = error.diagnostics.map((diagnostic) => ({
+      check: "rules-yaml",
+      severity: diagnostic.severity,
+      message: `${diagnostic.file}:${diagnostic.line}:${diagnostic.column} ${diagnostic.code}: ${diagnostic.message}`,
+      fix: describeDiagnosticFix(diagnostic),
+    }));
+    return { loaded: null, findings };
+  }
+}
+
+// Enabled targets whose tool leaves no trace in the repo: none of the adapter's `signals`
+// exist and its output is missing or was generated by rules-doctor.
+function isTargetToolUnused(rootDir, adapter, plans, state) {
+  if (!Array.isArray(adapter.signals) || adapter.signals.length === 0) {
+    return false;
+  }
+  if (adapter.signals.some((signal) => existsSync(resolve(rootDir, signal)))) {
+    return false;
+  }
+  return !plans.some(
+    (plan) =>
+      plan.targetId === adapter.id &&
+      plan.exists &&
+      !state.outputs[toStateKey(rootDir, plan.targetPath)],
+  );
+}
+
+function findBackupFiles(rootDir, plans) {
+  const dirs = new Set([
+    resolve(rootDir, ".agentrules"),
+    ...plans.map((plan) => dirname(plan.targetPath)),
+  ]);
+  const files = [];
+  for (const dir of [...dirs].sort()) {
+    if (!existsSync(dir) || !lstatSync(dir).isDirectory()) {
+      continue;
+    }
+    for (const name of readdirSync(dir).sort()) {
+      if (BACKUP_FILE_PATTERN.test(name)) {
+        files.push(resolve(dir, name));
+      }
+    }
+  }
+  return files;
+}
+
+// Audits the project: rules.yaml, outputs, npm scripts and leftovers. Findings with an
+// `apply` function can be fixed by `doctor --fix`.
+function collectDoctorFindings(rootDir) {
+  const { loaded, findings } = doctorRulesFindings(rootDir);
+  if (!loaded) {
+    return findings;
+  }
+
+  const { rules, registry } = loaded;
+  const state = readState(rootDir);
+  const plannable = [];
+  for (const adapter of registry.adapters) {
+    const target = getTargetConfig(rules, adapter);
+    const symlink = target.enabled
+      ? findSymlinkInPath(rootDir, resolveInRoot(rootDir, target.path))
+      : null;
+    if (symlink) {
+      findings.push({
+        check: "symlink",
+        severity: "error",
+        message: `${adapter.id}: ${target.path} goes through the symlink ${symlink}; sync refuses to write through symlinks.`,
+        fix: `Replace ${symlink} with a regular file or directory, or point targets.${adapter.id}.path at the real location.`,
+      });
+      continue;
+    }
+    plannable.push(adapter.id);
+  }
+
+  let plans = [];
+  try {
+    plans = buildTargetPlans(rootDir, rules, plannable, registry);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    findings.push({
+      check: "outputs",
+      severity: "error",
+      message,
+      fix: "Fix the target paths in rules.yaml.",
+    });
+  }
+
+  const markerPlans = new Map();
+  for (const plan of plans) {
+    if (plan.enabled && !plan.remove && plan.exists && plan.management === "marker") {
+      markerPlans.set(plan.targetPath, [...(markerPlans.get(plan.targetPath) || []), plan]);
+    }
+  }
+  for (const group of markerPlans.values()) {
+    const [plan] = group;
+    const status = inspectMarkerBlock(plan.currentText, plan.markerBegin, plan.markerEnd).status;
+    if (status === "valid") {
+      continue;
+    }
+    const ids = group.map((item) => item.targetId).join(", ");
+    findings.push({
+      check: "marker-block",
+      severity: status === "missing" ? "warning" : "error",
+      message: `${plan.targetPathDisplay} (${ids}): ${markerStatusIssueLabel(status)}`,
+      fix:
+        status === "missing"
+          ? "Add the managed block (doctor --fix or sync --write)."
+          : "Rewrite the managed block and keep the text around it (doctor --fix or sync --write).",
+      apply() {
+        writeFileSync(plan.targetPath, plan.desiredText, "utf8");
+        recordGeneratedOutputs(rootDir, state, group);
+        writeState(rootDir, state);
+        return `rewrote the managed block in ${plan.targetPathDisplay}`;
+      },
+    });
+  }
+
+  for (const conflict of analyzeSharedPathPlans(plans).conflicts) {
+    findings.push({
+      check: "shared-path",
+      severity: "error",
+      message: `${conflict.ids.join(", ")} write different content to ${conflict.targetPathDisplay}.`,
+      fix: "Give each target its own path in rules.yaml, or disable all but one.",
+    });
+  }
+
+  const scripts = loadPackageScripts(rootDir);
+  const hasPackageJson = existsSync(resolve(rootDir, "package.json"));
+  for (const [name, command] of Object.entries(rules.commands)) {
+    for (const script of findReferencedScripts(command)) {
+      if (Object.prototype.hasOwnProperty.call(scripts, script)) {
+        continue;
+      }
+      findings.push({
+        check: "npm-script",
+        severity: "warning",
+        message: hasPackageJson
+          ? `commands.${name} runs "${command}", but package.json has no "${script}" script.`
+          : `commands.${name} runs "${command}", but there is no package.json.`,
+        fix: `Add a "${script}" script to package.json or change commands.${name} in rules.yaml.`,
+      });
+    }
+  }
+
+  for (const adapter of registry.adapters) {
+    const target = getTargetConfig(rules, adapter);
+    if (target.enabled && isTargetToolUnused(rootDir, adapter, plans, state)) {
+      findings.push({
+        check: "unused-target",
+        severity: "warning",
+        message: `${adapter.id} is enabled, but nothing in the repo suggests ${adapter.name || adapter.id} is used (${adapter.signals.join(", ")}).`,
+        fix: `Set targets.${adapter.id}.enabled: false in rules.yaml if the team does not use it.`,
+      });
+    }
+  }
+
+  for (const file of findBackupFiles(rootDir, plans)) {
+    const display = toStateKey(rootDir, file);
+    findings.push({
+      check: "backup",
+      severity: "warning",
+      message: `${display} is a backup left by --backup.`,
+      fix: "Delete it once the change it backs up is committed (doctor --fix).",
+      apply() {
+        unlinkSync(file);
+        return `deleted ${display}`;
+      },
+    });
+  }
+
+  return findings;
+}
+
+function countFindings(findings) {
+  return {
+    errors: findings.filter((finding) => finding.severity === "error").length,
+    warnings: findings.filter((finding) => finding.severity !== "error").length,
+  };
+}
+
+function describePresetSelection(resolved) {
+  const enabled = Object.keys(resolved).filter((id) => resolved[id].enabled);
+  const paths = enabled.map((id) => (resolved[id].path ? `${id} -> ${resolved[id].path}` : id));
+  return paths.length > 0 ? `enables ${paths.join(", ")}` : "disables every target";
+}
+
+function describePresetTargets(preset) {
+  if (preset.targets === "all") {
+    return "all";
+  }
+  return Object.entries(preset.targets)
+    .map(([id, entry]) => {
+      const state = entry.enabled === false ? " (disabled)" : "";
+      return `${id}${entry.path ? ` -> ${entry.path}` : ""}${state}`;
+    })
+    .join(", ");
+}
+
+function presetCommand(rootDir, logger, args) {
+  const options = parsePresetArgs(args);
+  const presets = loadPresets(rootDir);
+
+  if (options.action === "list") {
+    logger.log("rules-doctor preset list");
+    for (const preset of presets) {
+      logger.log(`- ${preset.name}${preset.description ? `: ${preset.description}` : ""}`);
+      logger.log(`  targets: ${describePresetTargets(preset)}`);
+      logger.log(`  source: ${preset.source}`);
+    }
+    return 0;
+  }
+
+  const preset = findPreset(presets, options.name);
+  const { layers, registry, rules } = loadRules(rootDir, { logger });
+  const layer = layers[layers.length - 1];
+  const resolved = resolvePresetTargets(preset, registry.adapters);
+  const paths = Object.fromEntries(
+    registry.adapters.map((adapter) => [adapter.id, rules.targets[adapter.id].path]),
+  );
+  const targets = applyPresetToTargets(layer.data.targets, resolved, paths);
+  const nextText = setYamlValue(layer.rawText, ["targets"], targets);
+  const ids = Object.keys(resolved);
+
+  logger.log("rules-doctor preset apply");
+  logger.log(`- preset: ${preset.name} (${preset.source})`);
+  logger.log(`- file: ${layer.rulesFile}`);
+  logger.log(`- mode: ${options.write ? "write" : "dry-run"}`);
+  logger.log(`- enabled: ${ids.filter((id) => resolved[id].enabled).join(", ") || "(none)"}`);
+  logger.log(`- disabled: ${ids.filter((id) => !resolved[id].enabled).join(", ") || "(none)"}`);
+
+  if (nextText === layer.rawText) {
+    logger.log("Preset already applied: rules.yaml is unchanged.");
+    return 0;
+  }
+
+  logger.log(`\n# diff: ${RULES_RELATIVE_PATH}`);
+  logger.log(
+    formatUnifiedDiff(layer.rawText, nextText, { path: toStateKey(rootDir, layer.rulesFile) }),
+  );
+
+  if (!options.write) {
+    logger.log("Dry-run complete. Re-run with --write to update rules.yaml.");
+    return 0;
+  }
+
+  writeFileSync(layer.rulesFile, nextText, "utf8");
+  logger.log(`  updated: ${layer.rulesFile}`);
+  logger.log(
+    'Preset applied. Run "rules-doctor sync --write --prune" to regenerate targets and remove files of disabled ones.',
+  );
+  return 0;
+}
+
+function doctorCommand(rootDir, logger, args) {
+  const options = parseDoctorArgs(args);
+  const findings = collectDoctorFindings(rootDir);
+
+  logger.log("rules-doctor doctor");
+  logger.log(`- root: ${rootDir}`);
+  logger.log(`- mode: ${options.fix ? "fix" : "report"}`);
+  for (const finding of findings) {
+    logger.log(`- ${finding.severity} ${finding.check}: ${finding.message}`);
+    logger.log(`  fix: ${finding.fix}`);
+  }
+
+  const fixable = findings.filter((finding) => typeof finding.apply === "function");
+  if (!options.fix) {
+    const { errors, warnings } = countFindings(findings);
+    if (findings.length === 0) {
+      logger.log("Doctor complete: no problems found.");
+      return 0;
+    }
+    const hint = fixable.length > 0 ? ` ${fixable.length} can be fixed with --fix.` : "";
+    logger.log(`Doctor found ${errors} error(s) and ${warnings} warning(s).${hint}`);
+    return errors > 0 ? 1 : 0;
+  }
+
+  for (const finding of fixable) {
+    logger.log(`  fixed: ${finding.apply()}`);
+  }
+  const remaining = findings.filter((finding) => typeof finding.apply !== "function");
+  const { errors, warnings } = countFindings(remaining);
+  logger.log(
+    `Fix complete: ${fixable.length} problem(s) fixed; ${errors} error(s) and ${warnings} warning(s) need manual changes.`,
+  );
+  return errors > 0 ? 1 : 0;
+}
+
+async function verifyCommandsCommand(rootDir, logger, args) {
+  const options = parseVerifyCommandsArgs(args);
+  const timeout = options.timeout || DEFAULT_COMMAND_TIMEOUT_SECONDS;
+  const { rules } = loadRules(rootDir, { logger });
+  const context = {
+    scripts: loadPackageScripts(rootDir),
+    makefile: readMakefileTargets(rootDir),
+    env: process.env,
+  };
+  const entries = Object.entries(rules.commands);
+
+  logger.log("rules-doctor verify-commands");
+  logger.log(`- root: ${rootDir}`);
+  logger.log(`- mode: ${options.run ? `run (timeout ${timeout}s)` : "static"}`);
+
+  let failed = 0;
+  for (const [name, command] of entries) {
+    const problems = verifyCommand(rootDir, command, context);
+    if (problems.length > 0) {
+      failed += 1;
+      logger.log(`- ${name}: broken (${command})`);
+      for (const problem of problems) {
+        logger.log(`  problem: ${problem.message}`);
+      }
+      if (options.run) {
+        logger.log("  skipped: not run until the problems are fixed");
+      }
+      continue;
+    }
+    if (!options.run) {
+      logger.log(`- ${name}: ok (${command})`);
+      continue;
+    }
+
+    const result = await runCommand(rootDir, command, timeout * 1000);
+    const seconds = `${(result.durationMs / 1000).toFixed(1)}s`;
+    if (result.status === "pass") {
+      logger.log(`- ${name}: pass in ${seconds} (${command})`);
+      continue;
+    }
+    failed += 1;
+    logger.log(
+      result.status === "timeout"
+        ? `- ${name}: timed out after ${timeout}s (${command})`
+        : `- ${name}: fail with exit code ${result.exitCode} in ${seconds} (${command})`,
+    );
+    for (const line of result.output) {
+      logger.log(`  | ${line}`);
+    }
+  }
+
+  if (failed > 0) {
+    logger.log(
+      `Verify failed: ${failed} of ${entries.length} command(s) ${options.run ? "did not pass" : "are broken"}. Fix them under "commands" in rules.yaml.`,
+    );
+    return 1;
+  }
+  const verb = options.run ? "passed" : "resolve";
+  logger.log(`Verify complete: ${entries.length} command(s) ${verb}.`);
+  return 0;
+}
+
+function schemaCommand(logger, args) {
+  const options = parseSchemaArgs(args);
+  logger.log(JSON.stringify(getRulesSchema(options.version), null, 2));
+  return 0;
+}
+
+function getValueAtPath(value, path) {
+  return path.reduce(
+    (current, segment) => (isPlainObject(current) ? current[segment] : undefined),
+    value,
+  );
+}
+
+function explainCommand(rootDir, logger, args) {
+  const { key } = parseExplainArgs(args);
+  const { layers, data, origins } = loadRules(rootDir, { logger });
+
+  let entries = [...origins.entries()].filter(
+    ([path]) => path === key || path.startsWith(`${key}.`),
+  );
+  if (entries.length === 0) {
+    // Keys inside a list or a string shorthand are owned by the value that holds them.
+    const segments = key.split(".");
+    for (let length = segments.length - 1; length > 0 && entries.length === 0; length -= 1) {
+      const path = segments.slice(0, length).join(".");
+      if (origins.has(path)) {
+        entries = [[path, origins.get(path)]];
+      }
+    }
+  }
+  if (entries.length === 0) {
+    throw new Error(
+      `"${key}" is not set in ${RULES_RELATIVE_PATH} or any file it extends; built-in defaults apply.`,
+    );
+  }
+
+  logger.log("rules-doctor explain");
+  logger.log(`- key: ${key}`);
+  logger.log(`- layers: ${layers.map((layer) => layer.display).join(" -> ")}`);
+  for (const [path, layer] of entries.sort(([left], [right]) => left.localeCompare(right))) {
+    const segments = path.split(".");
+    const match = findNodeAtPath(layer.document.root, segments);
+    const node = match.key || match.value;
+    const location = node ? `${layer.display}:${node.line}` : layer.display;
+    logger.log(`- ${path} = ${JSON.stringify(getValueAtPath(data, segments))} (${location})`);
+  }
+  return 0;
+}
+
+function findMarkdownSection(sections, aliases) {
+  for (const alias of aliases) {
+    const key = normalizeHeading(alias);
+    if (Object.prototype.hasOwnProperty.call(sections, key)) {
+      return sections[key].trim();
+    }
+  }
+  return null;
+}
+
+function parseRenderedList(text) {
+  return parseListItems(text).filter((item) => item !== "(none)");
+}
+
+// Reads rules back out of a file in the built-in layout. Keys whose heading is missing are
+// left out rather than cleared.
+function parseRenderedRules(text) {
+  const sections = parseMarkdownSections(text);
+  const adopted = { sections: importCustomSections(text) };
+
+  const mission = findMarkdownSection(sections, IMPORT_SECTION_ALIASES.mission);
+  if (mission) {
+    adopted.mission = mission;
+  }
+  for (const key of ["workflow", "done"]) {
+    const body = findMarkdownSection(sections, IMPORT_SECTION_ALIASES[key]);
+    if (body !== null) {
+      adopted[key] = parseRenderedList(body);
+    }
+  }
+
+  const commands = findMarkdownSection(sections, ["commands"]);
+  if (commands !== null) {
+    adopted.commands = {};
+    for (const item of parseRenderedList(commands)) {
+      // Rendered as "name: `command`"; names may contain colons (test:e2e), so split at the
+      // colon that starts the backticked command, or at the first one if it lost its backticks.
+      const match = item.match(/^(.+?):\s+`(.*)`$/) || item.match(/^([^:\s]+):\s*(.+)$/);
+      if (match) {
+        adopted.commands[match[1]] = match[2];
+      }
+    }
+  }
+
+  const approvals = findMarkdownSection(sections, IMPORT_SECTION_ALIASES.approvals);
+  if (approvals !== null) {
+    const items = parseRenderedList(approvals);
+    const policyPattern = /^(?:policy|mode)\s*:\s*`?([^`]+?)`?$/i;
+    const policy = items.map((item) => item.match(policyPattern)).find(Boolean);
+    adopted.approvals = {
+      ...(policy ? { mode: policy[1] } : {}),
+      notes: items.filter((item) => !policyPattern.test(item)),
+    };
+  }
+
+  return adopted;
+}
+
+function sameRuleValue(left, right) {
+  const canonical = (value) =>
+    JSON.stringify(value, (key, item) =>
+      isPlainObject(item)
+        ? Object.fromEntries(Object.keys(item).sort().map((name) => [name, item[name]]))
+        : item,
+    );
+  return canonical(left) === canonical(right);
+}
+
+// Adopted list items are plain text; keep the tags of items whose text did not change.
+function keepItemTags(texts, original) {
+  const tagged = new Map(
+    (normalizeRuleItems(original) || [])
+      .filter(isPlainObject)
+      .map((item) => [item.text, item]),
+  );
+  return texts.map((text) => tagged.get(text) || text);
+}
+
+function describeValue(value) {
+  return JSON.stringify(typeof value === "undefined" ? null : value);
+}
+
+function describeListChange(key, before, after) {
+  const oldItems = (before || []).map(itemText);
+  const newItems = (after || []).map(itemText);
+  const lines = [
+    ...oldItems.filter((item) => !newItems.includes(item)).map((item) => `- ${key}: ${describeValue(item)}`),
+    ...newItems.filter((item) => !oldItems.includes(item)).map((item) => `+ ${key}: ${describeValue(item)}`),
+  ];
+  return lines.length > 0 ? lines : [`~ ${key}: reordered`];
+}
+
+// One line per changed rule: "+" added, "-" removed, "~" changed.
+function describeRuleChange(change) {
+  const { key, before, after } = change;
+  if (key === "commands") {
+    const names = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return names.flatMap((name) => {
+      const oldValue = (before || {})[name];
+      const newValue = (after || {})[name];
+      if (oldValue === newValue) {
+        return [];
+      }
+      if (typeof oldValue === "undefined") {
+        return [`+ commands.${name}: ${describeValue(newValue)}`];
+      }
+      if (typeof newValue === "undefined") {
+        return [`- commands.${name}: ${describeValue(oldValue)}`];
+      }
+      return [`~ commands.${name}: ${describeValue(oldValue)} -> ${describeValue(newValue)}`];
+    });
+  }
+  if (key === "sections") {
+    const byTitle = (sections) =>
+      new Map((sections || []).map((section) => [section.title, section]));
+    const oldSections = byTitle(before);
+    const newSections = byTitle(after);
+    return [
+      ...[...oldSections.keys()].filter((title) => !newSections.has(title)).map((title) => `- section ${describeValue(title)}`),
+      ...[...newSections.keys()].filter((title) => !oldSections.has(title)).map((title) => `+ section ${describeValue(title)}`),
+      ...[...newSections.keys()]
+        .filter(
+          (title) =>
+            oldSections.has(title) &&
+            !sameRuleValue(oldSections.get(title), newSections.get(title)),
+        )
+        .map((title) => `~ section ${describeValue(title)}`),
+    ];
+  }
+  if (Array.isArray(before) || Array.isArray(after)) {
+    return describeListChange(key, before, after);
+  }
+  return [`~ ${key}: ${describeValue(before)} -> ${describeValue(after)}`];
+}
+
+// Parses the rules back out of a target's file and works out which keys of the project's own
+// rules.yaml would change. Shared by `pull` and `adopt`.
+function readTargetEdits(rootDir, logger, targetId, commandName) {
+  const { rules, registry, layers } = loadRules(rootDir, { logger });
+  const adapter = registry.byId[targetId];
+  if (!adapter) {
+    throw new Error(`Unknown target: ${targetId}`);
+  }
+  if (!ADAPTERS_BY_ID[adapter.id]) {
+    throw new Error(
+      `${commandName} only reads the layout of built-in targets; "${adapter.id}" is a plugin or template target.`,
+    );
+  }
+  const target = getTargetConfig(rules, adapter);
+  if (!target.enabled) {
+    throw new Error(`Target "${adapter.id}" is disabled.`);
+  }
+  const hasTags = Array.isArray(target.include_tags) && target.include_tags.length > 0;
+  if (hasTags || isPlainObject(target.override) || isPlainObject(target.extra)) {
+    throw new Error(
+      `Target "${adapter.id}" uses include_tags, override or extra, so its file does not show the shared rules as written. Edit rules.yaml by hand.`,
+    );
+  }
+
+  const plans = buildTargetPlans(rootDir, rules, [adapter.id], registry);
+  const plan = plans.find((item) => item.targetPathDisplay === target.path);
+  if (!plan.exists) {
+    throw new Error(`${plan.targetPathDisplay} does not exist; nothing to ${commandName}.`);
+  }
+  const managed = extractManagedText(plan.currentText, plan);
+  if (managed === null) {
+    throw new Error(`${plan.targetPathDisplay} has no valid rules-doctor block to ${commandName}.`);
+  }
+  if (/^<{7} /m.test(managed)) {
+    throw new Error(
+      `${plan.targetPathDisplay} has unresolved merge conflict markers; resolve them before running ${commandName}.`,
+    );
+  }
+
+  const resolved = resolveTargetRules(rules, target);
+  const adopted = parseRenderedRules(managed);
+  const layer = layers[layers.length - 1];
+  const data = JSON.parse(JSON.stringify(isPlainObject(layer.parsed) ? layer.parsed : {}));
+  const changes = [];
+
+  if (typeof adopted.mission === "string" && adopted.mission !== resolved.mission) {
+    data.mission = adopted.mission;
+    changes.push({ key: "mission", before: resolved.mission, after: adopted.mission });
+  }
+  for (const key of ["workflow", "done"]) {
+    if (Array.isArray(adopted[key]) && !sameRuleValue(adopted[key], resolved[key])) {
+      data[key] = keepItemTags(adopted[key], rules[key]);
+      changes.push({ key, before: resolved[key], after: adopted[key] });
+    }
+  }
+  if (isPlainObject(adopted.commands) && !sameRuleValue(adopted.commands, resolved.commands)) {
+    // Keep defaults the file never declared out of rules.yaml.
+    const declared = isPlainObject(data.commands) ? data.commands : {};
+    data.commands = Object.fromEntries(
+      Object.entries(adopted.commands).filter(
+        ([name, command]) =>
+          Object.prototype.hasOwnProperty.call(declared, name) || resolved.commands[name] !== command,
+      ),
+    );
+    changes.push({ key: "commands", before: resolved.commands, after: adopted.commands });
+  }
+  if (isPlainObject(adopted.approvals)) {
+    const approvals = isPlainObject(data.approvals) ? data.approvals : {};
+    if (adopted.approvals.mode && adopted.approvals.mode !== resolved.approvals.mode) {
+      data.approvals = { ...approvals, mode: adopted.approvals.mode };
+      changes.push({
+        key: "approvals.mode",
+        before: resolved.approvals.mode,
+        after: adopted.approvals.mode,
+      });
+    }
+    if (!sameRuleValue(adopted.approvals.notes, resolved.approvals.notes)) {
+      data.approvals = {
+        ...(isPlainObject(data.approvals) ? data.approvals : approvals),
+        notes: keepItemTags(adopted.approvals.notes, rules.approvals.notes),
+      };
+      changes.push({
+        key: "approvals.notes",
+        before: resolved.approvals.notes,
+        after: adopted.approvals.notes,
+      });
+    }
+  }
+  if (!sameRuleValue(adopted.sections, resolved.sections)) {
+    data.sections = adopted.sections;
+    changes.push({ key: "sections", before: resolved.sections, after: adopted.sections });
+  }
+
+  return { adapter, plan, managed, layer, data, changes };
+}
+
+function applyTargetEdits(rootDir, logger, edits, options, commandName) {
+  const { adapter, plan, managed, layer, data, changes } = edits;
+
+  logger.log(`rules-doctor ${commandName}`);
+  logger.log(`- target: ${adapter.id} (${plan.targetPathDisplay})`);
+  logger.log(`- file: ${layer.rulesFile}`);
+  logger.log(`- mode: ${options.write ? "write" : "dry-run"}`);
+  logger.log(`- changed keys: ${changes.length > 0 ? changes.map((change) => change.key).join(", ") : "(none)"}`);
+  for (const change of changes) {
+    for (const line of describeRuleChange(change)) {
+      logger.log(`  ${line}`);
+    }
+  }
+
+  // Edit only the changed keys so the rest of rules.yaml keeps its layout.
+  const nextText = changes.reduce((text, change) => {
+    const path = change.key.split(".");
+    return setYamlValue(text, path, path.reduce((value, segment) => value[segment], data));
+  }, layer.rawText);
+  if (nextText !== layer.rawText) {
+    logger.log(`\n# diff: ${RULES_RELATIVE_PATH}`);
+    logger.log(
+      formatUnifiedDiff(layer.rawText, nextText, {
+        path: toStateKey(rootDir, layer.rulesFile),
+        context: options.diffContext,
+      }),
+    );
+  }
+
+  if (!options.write) {
+    logger.log("Dry-run complete. Re-run with --write to update rules.yaml.");
+    return 0;
+  }
+
+  if (nextText !== layer.rawText) {
+    writeFileSync(layer.rulesFile, nextText, "utf8");
+    logger.log(`  updated: ${layer.rulesFile}`);
+  }
+  // The file now reflects rules.yaml, so the next sync may rewrite it without --force.
+  const state = readState(rootDir);
+  const key = toStateKey(rootDir, plan.targetPath);
+  state.outputs[key] = {
+    ...(state.outputs[key] || { targets: [adapter.id], management: plan.management }),
+    ...(plan.management === "marker" ? { snapshot: managed } : {}),
+    hash: hashContent(plan.management === "full" ? plan.currentText : managed),
+  };
+  writeState(rootDir, state);
+  logger.log(
+    `${commandName === "pull" ? "Pull" : "Adopt"} complete. Run "rules-doctor sync --write" to regenerate ${plan.targetPathDisplay}.`,
+  );
+  return 0;
+}
+
+function pullCommand(rootDir, logger, args) {
+  const options = parseTargetedArgs("pull", args, { write: true });
+  const targetIds = options.targetSpec.split(",").map((id) => id.trim()).filter(Boolean);
+  if (options.targetSpec === "all" || targetIds.length !== 1) {
+    throw new Error("pull reads one target at a time, e.g. rules-doctor pull --target codex");
+  }
+  const edits = readTargetEdits(rootDir, logger, targetIds[0], "pull");
+  return applyTargetEdits(rootDir, logger, edits, options, "pull");
+}
+
+function adoptCommand(rootDir, logger, args) {
+  const options = parseAdoptArgs(args);
+  const edits = readTargetEdits(rootDir, logger, options.targetId, "adopt");
+  return applyTargetEdits(rootDir, logger, edits, options, "adopt");
+}
+
+function migrateCommand(rootDir, logger, args) {
+  const options = parseMigrateArgs(args);
+  const { rulesFile, rawText, document, parsed } = readRulesFile(rootDir);
+  if (document.errors.length > 0) {
+    const validation = validateRulesSource(parsed, rawText, { document });
+    throw new Error(formatValidationMessages(validation, rawText));
+  }
+
+  const migration = migrateRulesData(parsed, options.to);
+
+  logger.log("rules-doctor migrate");
+  logger.log(`- file: ${rulesFile}`);
+  logger.log(`- version: ${migration.fromVersion} -> ${migration.toVersion}`);
+  logger.log(`- mode: ${options.write ? "write" : "dry-run"}`);
+
+  if (migration.steps.length === 0) {
+    logger.log(`Migration complete: already on version ${migration.toVersion}.`);
+    return 0;
+  }
+
+  for (const step of migration.steps) {
+    logger.log(`- step ${step.from} -> ${step.to}: ${step.description}`);
+  }
+
+  const problems = validateAgainstSchema(migration.data, getRulesSchema(migration.toVersion));
+  if (problems.length > 0) {
+    throw new Error(
+      `Migrated rules.yaml does not match version ${migration.toVersion}:\n${problems
+        .map((problem) => `- ${problem.code}: ${problem.message}`)
+        .join("\n")}`,
+    );
+  }
+
+  // Edit the original text so comments, key order and quoting survive the migration.
+  const nextText = updateYamlText(rawText, migration.data);
+
+  logger.log(`\n# diff: ${RULES_RELATIVE_PATH}`);
+  const diff = formatUnifiedDiff(rawText, nextText, { path: RULES_RELATIVE_PATH });
+  logger.log(diff || "(no textual changes)");
+
+  if (!options.write) {
+    logger.log("Dry-run complete: rules.yaml would be rewritten. Re-run with --write.");
+    return 0;
+  }
+
+  if (options.backup) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+    const backupPath = `${rulesFile}.rules-doctor.bak.${timestamp}`;
+    writeFileSync(backupPath, rawText, "utf8");
+    logger.log(`  backup: ${backupPath}`);
+  }
+  writeFileSync(rulesFile, nextText, "utf8");
+  logger.log(`  updated: ${rulesFile}`);
+  logger.log(`Migration complete: rules.yaml is now on version ${migration.toVersion}.`);
+  return 0;
+}
+
 function runCli(argv, options) {
   const args = Array.isArray(argv) ? argv : [];
   const logger = createLogger(options || {});
@@ -1735,16 +3467,57 @@ function runCli(argv, options) {
       return checkCommand(rootDir, logger, rest);
     }
 
+    if (command === "schema") {
+      return schemaCommand(logger, rest);
+    }
+
+    if (command === "migrate") {
+      return migrateCommand(rootDir, logger, rest);
+    }
+
+    if (command === "explain") {
+      return explainCommand(rootDir, logger, rest);
+    }
+
+    if (command === "adopt") {
+      return adoptCommand(rootDir, logger, rest);
+    }
+
+    if (command === "pull") {
+      return pullCommand(rootDir, logger, rest);
+    }
+
+    if (command === "doctor") {
+      return doctorCommand(rootDir, logger, rest);
+    }
+
+    if (command === "preset") {
+      return presetCommand(rootDir, logger, rest);
+    }
+
+    if (command === "verify-commands") {
+      // Runs commands asynchronously, so this one resolves to its exit code.
+      return verifyCommandsCommand(rootDir, logger, rest).catch((error) =>
+        reportCliError(logger, error),
+      );
+    }
+
     throw new Error(`Unknown command: ${command}\n\n${usage()}`);
   } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
-    logger.error(`Error: ${message}`);
-    return 1;
+    return reportCliError(logger, error);
   }
 }
 
+function reportCliError(logger, error) {
+  const message = error instanceof Error ? error.message : String(error);
+  logger.error(`Error: ${message}`);
+  return 1;
+}
+
 if (require.main === module) {
-  process.exitCode = runCli(process.argv.slice(2));
+  Promise.resolve(runCli(process.argv.slice(2))).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
 }
 
 module.exports = {
@@ -0,0 +1,75 @@
+// Layered rules.yaml files. A file that `extends` others is merged on top of them: mappings
+// merge key by key, while lists and scalars from the later layer replace earlier ones. Every
+// merged value remembers the layer it came from so paths inside it (plugins, templates) can be
+// resolved from that layer and `explain` can report where a value was set.
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function pathKey(path) {
+  return path.join(".");
+}
+
+function clearOrigins(origins, path) {
+  const prefix = pathKey(path);
+  for (const key of [...origins.keys()]) {
+    if (key === prefix || key.startsWith(`${prefix}.`)) {
+      origins.delete(key);
+    }
+  }
+}
+
+function recordOrigins(origins, value, path, layer) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    for (const [key, item] of Object.entries(value)) {
+      recordOrigins(origins, item, [...path, key], layer);
+    }
+    return;
+  }
+  origins.set(pathKey(path), layer);
+}
+
+function mergeInto(target, source, path, layer, origins) {
+  for (const [key, value] of Object.entries(source)) {
+    if (path.length === 0 && key === "extends") {
+      continue;
+    }
+    const childPath = [...path, key];
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value, childPath, layer, origins);
+      continue;
+    }
+    clearOrigins(origins, childPath);
+    target[key] = JSON.parse(JSON.stringify(value));
+    recordOrigins(origins, value, childPath, layer);
+  }
+}
+
+// `layers` are ordered from the base to the most specific file; each is `{ data, ... }`.
+function mergeLayers(layers) {
+  const data = {};
+  const origins = new Map();
+  for (const layer of layers) {
+    if (isPlainObject(layer.data)) {
+      mergeInto(data, layer.data, [], layer, origins);
+    }
+  }
+  return { data, origins };
+}
+
+// Returns the layer that set `path`, or the layer of its closest recorded ancestor.
+function findOrigin(origins, path) {
+  for (let length = path.length; length > 0; length -= 1) {
+    const layer = origins.get(pathKey(path.slice(0, length)));
+    if (layer) {
+      return layer;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  findOrigin,
+  mergeLayers,
+};
@@ -0,0 +1,60 @@
+const { LATEST_RULES_VERSION } = require("./schema");
+
+// Ordered rules.yaml migration steps. Each step receives the parsed (not yet normalized)
+// document of version `from` and returns a document of version `to`. Steps must not mutate
+// their input.
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    // Version 2 still reads every version 1 key, so only the version number changes.
+    description: "Set version 2.",
+    migrate(data) {
+      return { ...data, version: 2 };
+    },
+  },
+];
+
+function getRulesVersion(data) {
+  return data && typeof data.version === "number" ? data.version : LATEST_RULES_VERSION;
+}
+
+function migrateRulesData(data, targetVersion) {
+  const fromVersion = getRulesVersion(data);
+  const toVersion = typeof targetVersion === "number" ? targetVersion : LATEST_RULES_VERSION;
+
+  if (fromVersion > LATEST_RULES_VERSION) {
+    throw new Error(
+      `rules.yaml version ${fromVersion} is newer than this rules-doctor supports (${LATEST_RULES_VERSION}). Upgrade rules-doctor.`,
+    );
+  }
+  if (toVersion > LATEST_RULES_VERSION) {
+    throw new Error(`Cannot migrate to unknown rules.yaml version ${toVersion}.`);
+  }
+  if (toVersion < fromVersion) {
+    throw new Error(
+      `Downgrading rules.yaml from version ${fromVersion} to ${toVersion} is not supported.`,
+    );
+  }
+
+  let current = data;
+  let version = fromVersion;
+  const steps = [];
+  while (version < toVersion) {
+    const step = MIGRATIONS.find((candidate) => candidate.from === version);
+    if (!step) {
+      throw new Error(`No migration registered from rules.yaml version ${version}.`);
+    }
+    current = step.migrate(current);
+    steps.push(step);
+    version = step.to;
+  }
+
+  return { data: current, fromVersion, toVersion, steps };
+}
+
+module.exports = {
+  MIGRATIONS,
+  getRulesVersion,
+  migrateRulesData,
+};
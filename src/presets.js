@@ -0,0 +1,207 @@
+// Target presets: named selections of targets that `init --preset` and `preset apply` write to
+// `targets.*.enabled` (and optionally `targets.*.path`). Built-in presets can be replaced or
+// extended by YAML files in .agentrules/presets/<name>.yaml:
+//
+//   description: Claude and Codex only
+//   targets:
+//     claude: true
+//     codex: docs/AGENTS.md      # enabled, with this path
+//     cursor: { path: .cursor/rules/team.mdc }
+//
+// Targets a preset does not list are disabled; `targets: all` enables every known target.
+const { existsSync, readFileSync, readdirSync } = require("node:fs");
+const { basename, extname, resolve } = require("node:path");
+const { parseYaml, toValue } = require("./yaml");
+
+const PRESETS_RELATIVE_DIR = ".agentrules/presets";
+const PRESET_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const BUILT_IN_PRESETS = {
+  all: { description: "Every known target.", targets: "all" },
+  core: {
+    description: "Claude Code (CLAUDE.md) and Codex (AGENTS.md).",
+    targets: { claude: {}, codex: {} },
+  },
+  copilot: {
+    description: "GitHub Copilot only (.github/copilot-instructions.md).",
+    targets: { copilot: {} },
+  },
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Turns the `targets` value of a preset file into `{ id: { enabled, path? } }` (or "all").
+function normalizePresetTargets(source, label) {
+  if (source === "all") {
+    return "all";
+  }
+  if (!isPlainObject(source) || Object.keys(source).length === 0) {
+    throw new Error(`${label}: "targets" must be "all" or a non-empty mapping of target ids.`);
+  }
+
+  const targets = {};
+  for (const [id, value] of Object.entries(source)) {
+    if (value === true || value === null) {
+      targets[id] = {};
+    } else if (value === false) {
+      targets[id] = { enabled: false };
+    } else if (typeof value === "string" && value.trim()) {
+      targets[id] = { path: value.trim() };
+    } else if (isPlainObject(value)) {
+      const unknown = Object.keys(value).filter((key) => key !== "enabled" && key !== "path");
+      if (unknown.length > 0) {
+        throw new Error(`${label}: "targets.${id}" has unknown key(s): ${unknown.join(", ")}.`);
+      }
+      if (
+        Object.prototype.hasOwnProperty.call(value, "enabled") &&
+        typeof value.enabled !== "boolean"
+      ) {
+        throw new Error(`${label}: "targets.${id}.enabled" must be true or false.`);
+      }
+      if (
+        Object.prototype.hasOwnProperty.call(value, "path") &&
+        (typeof value.path !== "string" || !value.path.trim())
+      ) {
+        throw new Error(`${label}: "targets.${id}.path" must be a non-empty string.`);
+      }
+      targets[id] = {
+        ...(typeof value.enabled === "boolean" ? { enabled: value.enabled } : {}),
+        ...(typeof value.path === "string" ? { path: value.path.trim() } : {}),
+      };
+    } else {
+      throw new Error(
+        `${label}: "targets.${id}" must be true, false, a path or a mapping with enabled/path.`,
+      );
+    }
+  }
+  return targets;
+}
+
+function readPresetFile(file, display) {
+  const document = parseYaml(readFileSync(file, "utf8"));
+  if (document.errors.length > 0) {
+    const first = document.errors[0];
+    throw new Error(`${display}:${first.line}:${first.column}: ${first.message}`);
+  }
+  const data = toValue(document.root);
+  if (!isPlainObject(data)) {
+    throw new Error(`${display}: a preset must be a mapping with "targets".`);
+  }
+  const unknown = Object.keys(data).filter((key) => key !== "description" && key !== "targets");
+  if (unknown.length > 0) {
+    throw new Error(`${display}: unknown key(s): ${unknown.join(", ")}.`);
+  }
+  if (
+    Object.prototype.hasOwnProperty.call(data, "description") &&
+    typeof data.description !== "string"
+  ) {
+    throw new Error(`${display}: "description" must be a string.`);
+  }
+  return {
+    description: data.description || "",
+    targets: normalizePresetTargets(data.targets, display),
+  };
+}
+
+// Built-in presets merged with the project's own; a project preset replaces a built-in one with
+// the same name. Returns presets sorted by name, each with the `source` it came from.
+function loadPresets(rootDir) {
+  const presets = {};
+  for (const [name, preset] of Object.entries(BUILT_IN_PRESETS)) {
+    presets[name] = { name, source: "built-in", ...preset };
+  }
+
+  const directory = resolve(rootDir, PRESETS_RELATIVE_DIR);
+  if (existsSync(directory)) {
+    const files = readdirSync(directory)
+      .filter((file) => [".yaml", ".yml"].includes(extname(file)))
+      .sort();
+    for (const file of files) {
+      const name = basename(file, extname(file));
+      const display = `${PRESETS_RELATIVE_DIR}/${file}`;
+      if (!PRESET_NAME_PATTERN.test(name)) {
+        throw new Error(`${display}: preset names must match ${PRESET_NAME_PATTERN}.`);
+      }
+      if (presets[name] && presets[name].source !== "built-in") {
+        throw new Error(
+          `${display}: preset "${name}" is already defined in ${presets[name].source}.`,
+        );
+      }
+      const preset = readPresetFile(resolve(directory, file), display);
+      presets[name] = { name, source: display, ...preset };
+    }
+  }
+
+  return Object.keys(presets)
+    .sort()
+    .map((name) => presets[name]);
+}
+
+function findPreset(presets, name) {
+  const preset = presets.find((item) => item.name === name);
+  if (!preset) {
+    throw new Error(
+      `Unknown preset: ${name}. Available presets: ${presets.map((item) => item.name).join(", ")}.`,
+    );
+  }
+  return preset;
+}
+
+// `{ id: { enabled, path? } }` for every adapter: listed targets are enabled unless the preset
+// says otherwise, every other target is disabled.
+function resolvePresetTargets(preset, adapters) {
+  const ids = adapters.map((adapter) => adapter.id);
+  if (preset.targets === "all") {
+    return Object.fromEntries(ids.map((id) => [id, { enabled: true }]));
+  }
+
+  const unknown = Object.keys(preset.targets).filter((id) => !ids.includes(id));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Preset "${preset.name}" (${preset.source}) lists unknown target(s): ${unknown.join(", ")}. Known targets: ${ids.join(", ")}.`,
+    );
+  }
+  return Object.fromEntries(
+    ids.map((id) => {
+      const entry = preset.targets[id];
+      if (!entry) {
+        return [id, { enabled: false }];
+      }
+      const path = entry.path ? { path: entry.path } : {};
+      return [id, { enabled: entry.enabled !== false, ...path }];
+    }),
+  );
+}
+
+// New `targets` mapping with the preset applied. Existing entries keep their other keys and
+// shorthand form where possible; `paths` supplies the current path of targets written out anew.
+function applyPresetToTargets(targets, resolved, paths) {
+  const next = { ...(isPlainObject(targets) ? targets : {}) };
+  for (const [id, desired] of Object.entries(resolved)) {
+    const current = next[id];
+    if (isPlainObject(current)) {
+      next[id] = {
+        ...current,
+        enabled: desired.enabled,
+        ...(desired.path ? { path: desired.path } : {}),
+      };
+    } else if (typeof current === "string" && current.trim() && desired.enabled) {
+      next[id] = desired.path || current;
+    } else {
+      const path = desired.path || (typeof current === "string" && current.trim()) || paths[id];
+      next[id] = { enabled: desired.enabled, path };
+    }
+  }
+  return next;
+}
+
+module.exports = {
+  BUILT_IN_PRESETS,
+  PRESETS_RELATIVE_DIR,
+  applyPresetToTargets,
+  findPreset,
+  loadPresets,
+  resolvePresetTargets,
+};
@@ -0,0 +1,283 @@
+// Machine-readable output for `sync` and `check` (`--format json|ndjson`) and the CI reporters
+// of `check` (`--reporter sarif|junit|github`). The report shape is versioned by
+// REPORT_VERSION: fields may be added within a version, but never renamed or removed.
+const { relative, resolve } = require("node:path");
+const { version: PACKAGE_VERSION } = require("../package.json");
+
+const REPORT_VERSION = 1;
+const REPORT_FORMATS = ["text", "json", "ndjson"];
+const REPORTERS = ["sarif", "junit", "github"];
+const RESULT_RULES = {
+  drift: "Generated file is out of sync with rules.yaml.",
+  "stale-file": "Generated scope file is no longer rendered from rules.yaml.",
+  "malformed-marker": "Managed marker block is malformed.",
+  error: "rules-doctor could not check the project.",
+};
+
+function createProjectReport(root, mode) {
+  return {
+    root,
+    mode,
+    exitCode: 0,
+    error: null,
+    diagnostics: [],
+    targets: [],
+    warnings: [],
+    issues: [],
+    summary: { changed: 0, changedFiles: 0 },
+  };
+}
+
+// Stable subset of a validation diagnostic.
+function toReportDiagnostic(diagnostic) {
+  return {
+    file: diagnostic.file,
+    line: diagnostic.line,
+    column: diagnostic.column,
+    severity: diagnostic.severity,
+    code: diagnostic.code,
+    message: diagnostic.message,
+    path: diagnostic.path || "",
+  };
+}
+
+// One document for the whole run (`--format json`).
+function formatJsonReport(command, projects, exitCode) {
+  return JSON.stringify({ version: REPORT_VERSION, command, exitCode, projects }, null, 2);
+}
+
+// One self-describing record per line (`--format ndjson`), written as soon as a project is done:
+// diagnostics, targets, warnings and issues, then a closing "project" record.
+function formatNdjsonRecords(command, project) {
+  const base = { version: REPORT_VERSION, command, root: project.root };
+  const records = [
+    ...project.diagnostics.map((diagnostic) => ({ ...base, type: "diagnostic", ...diagnostic })),
+    ...project.targets.map((target) => ({ ...base, type: "target", ...target })),
+    ...project.warnings.map((message) => ({ ...base, type: "warning", message })),
+    ...project.issues.map((message) => ({ ...base, type: "issue", message })),
+    {
+      ...base,
+      type: "project",
+      mode: project.mode,
+      exitCode: project.exitCode,
+      error: project.error,
+      summary: project.summary,
+    },
+  ];
+  return records.map((record) => JSON.stringify(record)).join("\n");
+}
+
+function toRunPath(rootDir, projectRoot, file) {
+  return relative(rootDir, resolve(projectRoot, file)).split("\\").join("/");
+}
+
+function describeTargetProblems(target) {
+  const problems = [];
+  if (target.marker && target.marker !== "valid" && target.marker !== "missing") {
+    problems.push({
+      ruleId: "malformed-marker",
+      message: `${target.id}: the rules-doctor marker block in ${target.path} is malformed (${target.marker}). Run "rules-doctor sync --write" to repair it.`,
+    });
+  }
+  if (target.status === "stale") {
+    problems.push({
+      ruleId: "stale-file",
+      message: `${target.id}: ${target.path} belongs to a scope that no longer exists. Run "rules-doctor sync --write" to remove it.`,
+    });
+  }
+  if (target.status === "drift") {
+    const edited = target.handEdited ? " It was edited by hand since the last sync." : "";
+    problems.push({
+      ruleId: "drift",
+      message: `${target.id}: ${target.path} is out of sync with rules.yaml.${edited} Run "rules-doctor sync --write" to update it.`,
+    });
+  }
+  return problems;
+}
+
+// Flattens `check` reports into located results: validation diagnostics, project errors and
+// one result per target problem. Paths are relative to `rootDir`.
+function collectCheckResults(rootDir, projects) {
+  const results = [];
+  for (const project of projects) {
+    for (const diagnostic of project.diagnostics) {
+      results.push({
+        ruleId: diagnostic.code,
+        level: diagnostic.severity === "error" ? "error" : "warning",
+        file: toRunPath(rootDir, project.root, diagnostic.file),
+        line: diagnostic.line,
+        column: diagnostic.column,
+        message: diagnostic.message,
+      });
+    }
+    if (project.error && project.diagnostics.every((item) => item.severity !== "error")) {
+      results.push({
+        ruleId: "error",
+        level: "error",
+        file: toRunPath(rootDir, project.root, ".agentrules/rules.yaml"),
+        line: 1,
+        column: 1,
+        message: project.error,
+      });
+    }
+    for (const target of project.targets) {
+      for (const problem of describeTargetProblems(target)) {
+        results.push({
+          ...problem,
+          level: "error",
+          file: toRunPath(rootDir, project.root, target.path),
+          line: target.line,
+          column: 1,
+          targetId: target.id,
+          targetPath: target.path,
+        });
+      }
+    }
+  }
+  return results;
+}
+
+function describeResultRule(ruleId) {
+  return RESULT_RULES[ruleId] || `rules.yaml diagnostic ${ruleId}.`;
+}
+
+// SARIF 2.1.0 log for code-scanning uploads.
+function formatSarifReport(rootDir, projects) {
+  const results = collectCheckResults(rootDir, projects);
+  const ruleIds = [...new Set(results.map((result) => result.ruleId))].sort();
+  const sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "rules-doctor",
+            version: PACKAGE_VERSION,
+            informationUri: "https://github.com/jazpiper/rules-doctor",
+            rules: ruleIds.map((id) => ({ id, shortDescription: { text: describeResultRule(id) } })),
+          },
+        },
+        results: results.map((result) => ({
+          ruleId: result.ruleId,
+          level: result.level,
+          message: { text: result.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: result.file },
+                region: { startLine: result.line, startColumn: result.column },
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatTestCase(classname, name, failures, skipped) {
+  const open = `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}"`;
+  if (skipped) {
+    return [`${open}>`, "      <skipped/>", "    </testcase>"];
+  }
+  if (failures.length === 0) {
+    return [`${open}/>`];
+  }
+  return [
+    `${open}>`,
+    ...failures.map(
+      (failure) =>
+        `      <failure type="${escapeXml(failure.ruleId)}" message="${escapeXml(failure.message)}">${escapeXml(failure.body || failure.message)}</failure>`,
+    ),
+    "    </testcase>",
+  ];
+}
+
+// JUnit XML: one suite per project, one test case per target and per rules.yaml error.
+function formatJunitReport(rootDir, projects) {
+  const suites = [];
+  let tests = 0;
+  let failures = 0;
+  for (const project of projects) {
+    const results = collectCheckResults(rootDir, [project]);
+    const cases = [];
+    const ruleErrors = results.filter((result) => !result.targetId && result.level === "error");
+    if (ruleErrors.length === 0) {
+      cases.push(formatTestCase("rules-doctor.rules", "rules.yaml", []));
+    }
+    for (const result of ruleErrors) {
+      const name = `${result.ruleId} ${result.file}:${result.line}:${result.column}`;
+      cases.push(formatTestCase("rules-doctor.rules", name, [result]));
+    }
+    for (const target of project.targets) {
+      const problems = results
+        .filter((result) => result.targetId === target.id && result.targetPath === target.path)
+        .map((result) => ({ ...result, body: result.ruleId === "drift" ? target.diff : null }));
+      const name = `${target.id} (${target.path})`;
+      const skipped = target.status === "disabled";
+      cases.push(formatTestCase("rules-doctor.targets", name, problems, skipped));
+    }
+    const failed = cases.filter((lines) => lines.some((line) => line.includes("<failure"))).length;
+    tests += cases.length;
+    failures += failed;
+    const suiteName = relative(rootDir, project.root).split("\\").join("/") || ".";
+    suites.push(
+      `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failed}">`,
+      ...cases.flat(),
+      "  </testsuite>",
+    );
+  }
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="rules-doctor" tests="${tests}" failures="${failures}">`,
+    ...suites,
+    "</testsuites>",
+  ].join("\n");
+}
+
+function escapeWorkflowData(value) {
+  return String(value).replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+}
+
+function escapeWorkflowProperty(value) {
+  return escapeWorkflowData(value).replace(/:/g, "%3A").replace(/,/g, "%2C");
+}
+
+// GitHub Actions workflow commands (`::error file=...::message`) that annotate the PR.
+function formatGithubAnnotations(rootDir, projects) {
+  return collectCheckResults(rootDir, projects)
+    .map((result) => {
+      const properties = [
+        `file=${escapeWorkflowProperty(result.file)}`,
+        `line=${result.line}`,
+        `col=${result.column}`,
+        `title=${escapeWorkflowProperty(`rules-doctor ${result.ruleId}`)}`,
+      ].join(",");
+      return `::${result.level} ${properties}::${escapeWorkflowData(result.message)}`;
+    })
+    .join("\n");
+}
+
+module.exports = {
+  REPORTERS,
+  REPORT_FORMATS,
+  REPORT_VERSION,
+  collectCheckResults,
+  createProjectReport,
+  formatGithubAnnotations,
+  formatJsonReport,
+  formatJunitReport,
+  formatNdjsonRecords,
+  formatSarifReport,
+  toReportDiagnostic,
+};
@@ -0,0 +1,446 @@
+// JSON Schema for .agentrules/rules.yaml. The same definitions drive `validateRulesSource`
+// and the `rules-doctor schema` command, so editor tooling and rules-doctor always agree.
+//
+// "x-rules-doctor" annotations carry the stable diagnostic code for a node and, where the
+// generated wording would read badly, a `description` ("must be <description>") or a full
+// `message` ("must not be empty"). JSON Schema tooling ignores these annotations.
+
+const NON_EMPTY_STRING_PATTERN = "\\S";
+
+function nonEmptyString(code, description) {
+  return {
+    type: "string",
+    pattern: NON_EMPTY_STRING_PATTERN,
+    ...(description ? { description } : {}),
+    "x-rules-doctor": { code },
+  };
+}
+
+function stringList(code, description) {
+  return {
+    type: "array",
+    items: { type: "string" },
+    description,
+    "x-rules-doctor": { code },
+  };
+}
+
+function ruleItemList(code, description) {
+  return {
+    type: "array",
+    description,
+    items: {
+      anyOf: [
+        { type: "string" },
+        {
+          type: "object",
+          required: ["text"],
+          properties: {
+            text: nonEmptyString(code, "Rule text."),
+            tags: {
+              type: "array",
+              items: { type: "string", pattern: NON_EMPTY_STRING_PATTERN },
+              description: "Targets with include_tags render this item only on a shared tag.",
+            },
+          },
+          additionalProperties: false,
+        },
+      ],
+    },
+    "x-rules-doctor": { code, description: "an array of strings or { text, tags } items" },
+  };
+}
+
+function commandMap(code, description) {
+  return {
+    type: "object",
+    description,
+    additionalProperties: nonEmptyString(code),
+    "x-rules-doctor": { code },
+  };
+}
+
+function sectionList(code, description) {
+  return {
+    type: "array",
+    description,
+    items: {
+      type: "object",
+      required: ["title"],
+      properties: {
+        title: nonEmptyString(code, "Section heading."),
+        body: {
+          anyOf: [
+            { type: "string", description: "Markdown paragraph(s)." },
+            { type: "array", items: { type: "string" }, description: "Rendered as a list." },
+          ],
+          "x-rules-doctor": { code, description: "a string or an array of strings" },
+        },
+      },
+      additionalProperties: false,
+      "x-rules-doctor": { code, description: "an object with \"title\" and \"body\"" },
+    },
+    "x-rules-doctor": { code, description: "an array of sections" },
+  };
+}
+
+function targetOverride() {
+  const code = "RD125";
+  return {
+    type: "object",
+    description: "Replaces rules for this target only.",
+    properties: {
+      mission: nonEmptyString(code, "Mission rendered for this target instead of the shared one."),
+      workflow: ruleItemList(code, "Replaces the workflow list."),
+      done: ruleItemList(code, "Replaces the definition-of-done list."),
+      commands: commandMap(code, "Replaces the command map."),
+      approvals: {
+        type: "object",
+        properties: {
+          mode: nonEmptyString(code, "Approval mode for this target."),
+          notes: ruleItemList(code, "Replaces the approval notes."),
+        },
+        additionalProperties: false,
+        "x-rules-doctor": { code },
+      },
+      exclude: {
+        type: "object",
+        description: "Items dropped from the shared rules for this target.",
+        properties: {
+          workflow: stringList(code, "Workflow steps to drop (exact text)."),
+          done: stringList(code, "Definition-of-done items to drop (exact text)."),
+          commands: stringList(code, "Command names to drop."),
+        },
+        additionalProperties: false,
+        "x-rules-doctor": { code },
+      },
+    },
+    additionalProperties: false,
+    "x-rules-doctor": { code },
+  };
+}
+
+function targetExtra() {
+  const code = "RD126";
+  return {
+    type: "object",
+    description: "Content appended to the shared rules for this target only.",
+    properties: {
+      workflow: ruleItemList(code, "Workflow steps appended for this target."),
+      done: ruleItemList(code, "Definition-of-done items appended for this target."),
+      commands: commandMap(code, "Commands added (or replaced by name) for this target."),
+      approvals: {
+        type: "object",
+        properties: {
+          notes: ruleItemList(code, "Approval notes appended for this target."),
+        },
+        additionalProperties: false,
+        "x-rules-doctor": { code },
+      },
+      sections: sectionList("RD127", "Extra sections rendered after the shared rules."),
+    },
+    additionalProperties: false,
+    "x-rules-doctor": { code },
+  };
+}
+
+function scopeList() {
+  const code = "RD132";
+  return {
+    type: "array",
+    description:
+      "Rule sets for matching files only, rendered as separate files by adapters that support them.",
+    items: {
+      type: "object",
+      required: ["name"],
+      properties: {
+        name: {
+          type: "string",
+          pattern: "^[a-z0-9][a-z0-9-]*$",
+          description: "Scope id; also names the generated file.",
+          "x-rules-doctor": { code, description: "lowercase letters, digits and dashes" },
+        },
+        description: nonEmptyString(code, "When an agent should apply this scope."),
+        globs: {
+          type: "array",
+          items: { type: "string", pattern: NON_EMPTY_STRING_PATTERN },
+          description: "Files this scope applies to, e.g. **/*.test.ts.",
+          "x-rules-doctor": { code, description: "an array of non-empty strings" },
+        },
+        workflow: ruleItemList(code, "Workflow steps for matching files."),
+        done: ruleItemList(code, "Definition-of-done items for matching files."),
+        notes: ruleItemList(code, "Additional notes for matching files."),
+        sections: sectionList(code, "Free-form sections for matching files."),
+      },
+      additionalProperties: false,
+      "x-rules-doctor": { code, description: "an object with \"name\"" },
+    },
+    "x-rules-doctor": { code, description: "an array of scopes" },
+  };
+}
+
+function createRulesSchemaV2() {
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    title: "rules-doctor rules.yaml (version 2)",
+    description: "Single source of truth for agent instruction files managed by rules-doctor.",
+    type: "object",
+    properties: {
+      version: {
+        type: "number",
+        description: "Schema version of this file.",
+        "x-rules-doctor": { code: "RD103" },
+      },
+      extends: {
+        description:
+          'Rules files to inherit from: "parent", project-relative paths or npm packages. Keys set here win.',
+        anyOf: [
+          { type: "string", pattern: NON_EMPTY_STRING_PATTERN },
+          { type: "array", items: { type: "string", pattern: NON_EMPTY_STRING_PATTERN } },
+        ],
+        "x-rules-doctor": { code: "RD131", description: "a string or an array of strings" },
+      },
+      mission: nonEmptyString("RD104", "One-line mission statement rendered into every target."),
+      workflow: ruleItemList("RD105", "Ordered workflow steps."),
+      commands: {
+        type: "object",
+        description: "Named verification commands such as lint, test and build.",
+        additionalProperties: nonEmptyString("RD107"),
+        "x-rules-doctor": { code: "RD106" },
+      },
+      done: ruleItemList("RD105", "Definition-of-done checklist."),
+      approvals: {
+        type: "object",
+        description: "Approval policy for risky actions.",
+        properties: {
+          mode: nonEmptyString("RD109", "Approval mode, e.g. ask-before-destructive."),
+          notes: ruleItemList("RD110", "Additional approval notes."),
+        },
+        "x-rules-doctor": { code: "RD108" },
+      },
+      sections: sectionList("RD130", "Free-form sections rendered after the built-in ones."),
+      scopes: scopeList(),
+      plugins: {
+        type: "array",
+        description: "Adapter modules to load: project-relative paths or npm package names.",
+        items: { type: "string", pattern: NON_EMPTY_STRING_PATTERN },
+        "x-rules-doctor": { code: "RD111", description: "an array of non-empty strings" },
+      },
+      targets: {
+        type: "object",
+        description: "Output targets keyed by adapter id.",
+        additionalProperties: {
+          anyOf: [
+            {
+              type: "string",
+              pattern: NON_EMPTY_STRING_PATTERN,
+              description: "Shorthand for { enabled: true, path: <value> }.",
+              "x-rules-doctor": { code: "RD113", message: "must not be empty" },
+            },
+            {
+              type: "object",
+              properties: {
+                enabled: {
+                  type: "boolean",
+                  "x-rules-doctor": { code: "RD115", description: "boolean" },
+                },
+                path: nonEmptyString("RD116", "Project-relative output path."),
+                template: nonEmptyString("RD118", "Project-relative template file."),
+                management: {
+                  type: "string",
+                  enum: ["full", "marker"],
+                  description: "How template output is written.",
+                  "x-rules-doctor": { code: "RD120" },
+                },
+                marker_begin: nonEmptyString("RD121", "Begin marker for marker-managed templates."),
+                marker_end: nonEmptyString("RD121", "End marker for marker-managed templates."),
+                include_tags: {
+                  type: "array",
+                  description: "Only render tagged rule items that carry one of these tags.",
+                  items: { type: "string", pattern: NON_EMPTY_STRING_PATTERN },
+                  "x-rules-doctor": { code: "RD128", description: "an array of non-empty strings" },
+                },
+                override: targetOverride(),
+                extra: targetExtra(),
+              },
+            },
+          ],
+          "x-rules-doctor": { code: "RD114", description: "a string or object" },
+        },
+        "x-rules-doctor": { code: "RD112" },
+      },
+    },
+    "x-rules-doctor": {
+      code: "RD100",
+      recommended: ["version", "mission", "workflow", "commands", "done", "approvals", "targets"],
+    },
+  };
+}
+
+const RULES_SCHEMAS = {
+  2: createRulesSchemaV2,
+};
+const LATEST_RULES_VERSION = 2;
+
+function getRulesSchema(version) {
+  const requested = typeof version === "undefined" ? LATEST_RULES_VERSION : Number(version);
+  const factory = RULES_SCHEMAS[requested];
+  if (!factory) {
+    const available = Object.keys(RULES_SCHEMAS).join(", ");
+    throw new Error(`Unknown rules.yaml schema version: ${version}. Available: ${available}`);
+  }
+  return factory();
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") {
+    return Number.isInteger(value);
+  }
+  if (type === "number") {
+    return typeof value === "number" && Number.isFinite(value);
+  }
+  if (type === "object") {
+    return typeOf(value) === "object";
+  }
+  return typeOf(value) === type;
+}
+
+function describeSchema(schema) {
+  const annotation = schema["x-rules-doctor"] || {};
+  if (annotation.description) {
+    return annotation.description;
+  }
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.map((item) => JSON.stringify(item)).join(" or ");
+  }
+  if (schema.type === "string") {
+    return schema.pattern === NON_EMPTY_STRING_PATTERN || schema.minLength > 0
+      ? "a non-empty string"
+      : "a string";
+  }
+  if (schema.type === "array") {
+    if (!schema.items) {
+      return "an array";
+    }
+    return `an array of ${describeSchema(schema.items).replace(/^an? /, "")}s`;
+  }
+  if (schema.type === "object") {
+    return "an object";
+  }
+  if (schema.type === "boolean") {
+    return "boolean";
+  }
+  return `a ${schema.type}`;
+}
+
+// `labelPath` names the value in the message; `path` locates it. They differ for array items,
+// which are reported against the array ("workflow" must be an array of strings).
+function schemaProblem(schema, labelPath, path) {
+  const annotation = schema["x-rules-doctor"] || {};
+  const label = labelPath.join(".");
+  const clause = annotation.message || `must be ${describeSchema(schema)}`;
+  return {
+    code: annotation.code,
+    path: path || labelPath,
+    message: label ? `"${label}" ${clause}.` : `Top-level YAML ${clause}.`,
+  };
+}
+
+function checkScalar(value, schema) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return false;
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    return false;
+  }
+  if (typeof value === "string") {
+    if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+      return false;
+    }
+    if (typeof schema.pattern === "string" && !new RegExp(schema.pattern).test(value)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Validates a parsed value against the JSON Schema subset used above (type, enum, pattern,
+// minLength, required, properties, additionalProperties, items, type-discriminated anyOf).
+// Returns one problem per failing node: { code, path, message }, plus `at: "key"` when the
+// mapping key rather than its value is at fault.
+function validateAgainstSchema(value, schema, path) {
+  const currentPath = path || [];
+  const problems = [];
+
+  if (Array.isArray(schema.anyOf)) {
+    const branch = schema.anyOf.find((candidate) => matchesType(value, candidate.type));
+    if (!branch) {
+      return [schemaProblem(schema, currentPath)];
+    }
+    return validateAgainstSchema(value, branch, currentPath);
+  }
+
+  if (!checkScalar(value, schema)) {
+    return [schemaProblem(schema, currentPath)];
+  }
+
+  if (schema.type === "array" && schema.items) {
+    const index = value.findIndex((item) => validateAgainstSchema(item, schema.items).length > 0);
+    if (index >= 0) {
+      problems.push(schemaProblem(schema, currentPath, [...currentPath, index]));
+    }
+    return problems;
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    const annotation = schema["x-rules-doctor"] || {};
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        problems.push({
+          code: annotation.code,
+          path: currentPath,
+          message: `"${currentPath.join(".")}" is missing "${key}".`,
+        });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const childSchema = Object.prototype.hasOwnProperty.call(properties, key)
+        ? properties[key]
+        : schema.additionalProperties;
+      if (childSchema === false) {
+        const childPath = [...currentPath, key];
+        problems.push({
+          code: annotation.code,
+          path: childPath,
+          at: "key",
+          message: `"${childPath.join(".")}" is not a supported key.`,
+        });
+        continue;
+      }
+      if (!childSchema || childSchema === true) {
+        continue;
+      }
+      problems.push(...validateAgainstSchema(item, childSchema, [...currentPath, key]));
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  LATEST_RULES_VERSION,
+  RULES_SCHEMAS,
+  getRulesSchema,
+  validateAgainstSchema,
+};
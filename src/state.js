@@ -0,0 +1,53 @@
+// Manifest of the files rules-doctor generated (.agentrules/state.json). Every output records a
+// hash of the content rules-doctor wrote, so later runs can tell generated files from hand edits.
+const { createHash } = require("node:crypto");
+const { existsSync, readFileSync, writeFileSync } = require("node:fs");
+const { resolve } = require("node:path");
+
+const STATE_RELATIVE_PATH = ".agentrules/state.json";
+const STATE_VERSION = 1;
+
+function hashContent(text) {
+  const normalized = text.replace(/\r\n/g, "\n");
+  return `sha256:${createHash("sha256").update(normalized, "utf8").digest("hex")}`;
+}
+
+function readState(rootDir) {
+  const stateFile = resolve(rootDir, STATE_RELATIVE_PATH);
+  if (!existsSync(stateFile)) {
+    return { version: STATE_VERSION, outputs: {} };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(stateFile, "utf8"));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read ${STATE_RELATIVE_PATH}: ${message}`);
+  }
+  const outputs = parsed && typeof parsed.outputs === "object" && !Array.isArray(parsed.outputs);
+  return { version: STATE_VERSION, outputs: outputs ? parsed.outputs : {} };
+}
+
+// Writes the manifest with sorted keys; returns false when the file is already up to date.
+function writeState(rootDir, state) {
+  const stateFile = resolve(rootDir, STATE_RELATIVE_PATH);
+  const outputs = Object.fromEntries(
+    Object.keys(state.outputs)
+      .sort()
+      .map((path) => [path, state.outputs[path]]),
+  );
+  const text = `${JSON.stringify({ version: STATE_VERSION, outputs }, null, 2)}\n`;
+  if (existsSync(stateFile) && readFileSync(stateFile, "utf8") === text) {
+    return false;
+  }
+  writeFileSync(stateFile, text, "utf8");
+  return true;
+}
+
+module.exports = {
+  STATE_RELATIVE_PATH,
+  hashContent,
+  readState,
+  writeState,
+};
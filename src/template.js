@@ -0,0 +1,213 @@
+const BLOCK_HELPERS = ["each", "if"];
+
+function tokenizeTemplate(template) {
+  const tokens = [];
+  const pattern = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+  let cursor = 0;
+  let match;
+
+  while ((match = pattern.exec(template))) {
+    let start = match.index;
+    let end = pattern.lastIndex;
+    let kind = "var";
+    if (match[1] === "#") {
+      kind = "open";
+    } else if (match[1] === "/") {
+      kind = "close";
+    } else if (match[2] === "else") {
+      kind = "else";
+    }
+
+    // Block tags alone on a line consume that whole line so they leave no blank lines behind.
+    if (kind !== "var") {
+      const lineStart = template.lastIndexOf("\n", start - 1) + 1;
+      const newline = template.indexOf("\n", end);
+      const lineEnd = newline < 0 ? template.length : newline + 1;
+      if (
+        lineStart >= cursor &&
+        !template.slice(lineStart, start).trim() &&
+        !template.slice(end, lineEnd).trim()
+      ) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    if (start > cursor) {
+      tokens.push({ kind: "text", value: template.slice(cursor, start) });
+    }
+    tokens.push({ kind, expression: match[2].trim(), source: match[0] });
+    cursor = end;
+    pattern.lastIndex = end;
+  }
+
+  if (cursor < template.length) {
+    tokens.push({ kind: "text", value: template.slice(cursor) });
+  }
+  return tokens;
+}
+
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokenizeTemplate(String(template))) {
+    const current = stack[stack.length - 1];
+    const branch = current.inElse ? current.inverse : current.children;
+
+    if (token.kind === "text") {
+      branch.push({ type: "text", value: token.value });
+      continue;
+    }
+
+    if (token.kind === "var") {
+      if (!token.expression) {
+        throw new Error(`Template error: empty placeholder ${token.source}`);
+      }
+      branch.push({ type: "var", path: token.expression });
+      continue;
+    }
+
+    if (token.kind === "open") {
+      const [helper, ...rest] = token.expression.split(/\s+/);
+      const path = rest.join(" ");
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new Error(`Template error: unknown block helper ${token.source}`);
+      }
+      if (!path) {
+        throw new Error(`Template error: ${token.source} needs a value to iterate or test`);
+      }
+      const node = { type: helper, path, source: token.source, children: [], inverse: [] };
+      branch.push(node);
+      stack.push(node);
+      continue;
+    }
+
+    if (token.kind === "else") {
+      if (current.type !== "if" || current.inElse) {
+        throw new Error("Template error: {{else}} is only allowed once inside {{#if}}");
+      }
+      current.inElse = true;
+      continue;
+    }
+
+    if (stack.length === 1 || current.type !== token.expression) {
+      throw new Error(`Template error: unexpected ${token.source}`);
+    }
+    stack.pop();
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template error: unclosed ${stack[stack.length - 1].source}`);
+  }
+  return root.children;
+}
+
+function lookupPath(path, scopes) {
+  const scope = scopes[0];
+  if (path === "this" || path === ".") {
+    return scope.value;
+  }
+  if (path === "@index") {
+    return scope.index;
+  }
+  if (path === "@key") {
+    return scope.key;
+  }
+
+  let segments = path.split(".");
+  let candidates = scopes;
+  if (segments[0] === "this") {
+    segments = segments.slice(1);
+    candidates = [scope];
+  }
+
+  for (const candidate of candidates) {
+    const value = candidate.value;
+    if (
+      !value ||
+      typeof value !== "object" ||
+      !Object.prototype.hasOwnProperty.call(value, segments[0])
+    ) {
+      continue;
+    }
+    let cursor = value;
+    for (const segment of segments) {
+      if (!cursor || typeof cursor !== "object") {
+        return undefined;
+      }
+      cursor = cursor[segment];
+    }
+    return cursor;
+  }
+  return undefined;
+}
+
+function formatValue(value) {
+  if (value === null || typeof value === "undefined") {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => `- ${formatValue(item)}`).join("\n");
+  }
+  if (typeof value === "object") {
+    return Object.entries(value)
+      .map(([key, item]) => `- ${key}: ${formatValue(item)}`)
+      .join("\n");
+  }
+  return String(value);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === "object") {
+    return Object.keys(value).length > 0;
+  }
+  return Boolean(value);
+}
+
+function renderNodes(nodes, scopes) {
+  let output = "";
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+      continue;
+    }
+    if (node.type === "var") {
+      output += formatValue(lookupPath(node.path, scopes));
+      continue;
+    }
+
+    const value = lookupPath(node.path, scopes);
+    if (node.type === "if") {
+      output += renderNodes(isTruthy(value) ? node.children : node.inverse, scopes);
+      continue;
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : value && typeof value === "object"
+        ? Object.entries(value)
+        : [];
+    entries.forEach(([key, item], index) => {
+      output += renderNodes(node.children, [{ value: item, key, index }, ...scopes]);
+    });
+  }
+  return output;
+}
+
+function compileTemplate(template) {
+  const nodes = parseTemplate(template);
+  return (context) => renderNodes(nodes, [{ value: context }]);
+}
+
+function renderTemplate(template, context) {
+  return compileTemplate(template)(context);
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+};
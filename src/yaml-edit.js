@@ -0,0 +1,399 @@
+// Round-trip editing for YAML documents such as .agentrules/rules.yaml.
+//
+// updateYamlText(text, value) changes the document so it parses to `value` while touching only
+// the nodes whose value actually differs. Everything else (comments, blank lines, key order,
+// quoting style, anchors) is left byte-for-byte intact. Edits are computed against a single
+// parse as splices of the original text and applied back to front.
+
+const { parseYaml, toValue } = require("./yaml");
+
+const PLAIN_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_./-]*$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepEqual(left, right) {
+  if (left === right) {
+    return true;
+  }
+  if (Array.isArray(left) || Array.isArray(right)) {
+    return (
+      Array.isArray(left) &&
+      Array.isArray(right) &&
+      left.length === right.length &&
+      left.every((item, index) => deepEqual(item, right[index]))
+    );
+  }
+  if (isPlainObject(left) && isPlainObject(right)) {
+    const keys = Object.keys(left);
+    return (
+      keys.length === Object.keys(right).length &&
+      keys.every(
+        (key) =>
+          Object.prototype.hasOwnProperty.call(right, key) && deepEqual(left[key], right[key]),
+      )
+    );
+  }
+  return false;
+}
+
+function nodeEquals(node, value) {
+  // Callers may compare against values read with trimmed block scalars; either form matches.
+  return (
+    deepEqual(toValue(node), value) || deepEqual(toValue(node, { trimBlockScalars: true }), value)
+  );
+}
+
+function isPlainSafe(text) {
+  if (!text || text !== text.trim() || text.includes("\n")) {
+    return false;
+  }
+  const probe = parseYaml(`key: ${text}\n`);
+  return probe.errors.length === 0 && toValue(probe.root).key === text;
+}
+
+function formatScalar(value, style) {
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  if (value === null || typeof value === "undefined") {
+    return "null";
+  }
+  const text = String(value);
+  if (style === "plain" && isPlainSafe(text)) {
+    return text;
+  }
+  if (style === "single" && !text.includes("\n")) {
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+  return JSON.stringify(text);
+}
+
+function formatKey(key) {
+  return PLAIN_KEY_PATTERN.test(key) && isPlainSafe(key) ? key : JSON.stringify(key);
+}
+
+function formatFlow(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => formatFlow(item)).join(", ")}]`;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).map(
+      ([key, item]) => `${formatKey(key)}: ${formatFlow(item)}`,
+    );
+    return entries.length > 0 ? `{ ${entries.join(", ")} }` : "{}";
+  }
+  return formatScalar(value, "double");
+}
+
+function isLiteralBlockText(value) {
+  return (
+    typeof value === "string" &&
+    value.includes("\n") &&
+    !/\n\n$/.test(value) &&
+    !/^[ \t]/.test(value) &&
+    !/[^\S\n]\n/.test(value)
+  );
+}
+
+// Renders a value that follows "key:" or "-" at `indent`: `head` stays on that line and `body`
+// holds the indented lines below it.
+function renderValue(value, indent) {
+  const pad = " ".repeat(indent + 2);
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return { head: " []", body: [] };
+    }
+    return { head: "", body: value.flatMap((item) => renderItemLines(item, indent + 2)) };
+  }
+  if (isPlainObject(value)) {
+    if (Object.keys(value).length === 0) {
+      return { head: " {}", body: [] };
+    }
+    return { head: "", body: renderMappingLines(value, indent + 2) };
+  }
+  if (isLiteralBlockText(value)) {
+    const keep = value.endsWith("\n");
+    const lines = (keep ? value.slice(0, -1) : value).split("\n");
+    return { head: keep ? " |" : " |-", body: lines.map((line) => (line ? pad + line : "")) };
+  }
+  return { head: ` ${formatScalar(value, "double")}`, body: [] };
+}
+
+function renderEntryLines(key, value, indent) {
+  const { head, body } = renderValue(value, indent);
+  return [`${" ".repeat(indent)}${formatKey(key)}:${head}`, ...body];
+}
+
+function renderMappingLines(value, indent) {
+  return Object.entries(value).flatMap(([key, item]) => renderEntryLines(key, item, indent));
+}
+
+function renderItemLines(value, indent) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    const lines = renderMappingLines(value, indent + 2);
+    lines[0] = `${" ".repeat(indent)}- ${lines[0].slice(indent + 2)}`;
+    return lines;
+  }
+  const { head, body } = renderValue(value, indent);
+  return [`${" ".repeat(indent)}-${head}`, ...body];
+}
+
+function createSession(text) {
+  const original = String(text);
+  const source = original.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const document = parseYaml(source);
+  if (document.errors.length > 0) {
+    const [first] = document.errors;
+    throw new Error(
+      `Cannot edit YAML with syntax errors (line ${first.line}, column ${first.column}: ${first.message}).`,
+    );
+  }
+  return {
+    text: source,
+    root: document.root,
+    splices: [],
+    bom: original.startsWith("\uFEFF"),
+    crlf: /\r\n/.test(original),
+  };
+}
+
+function splice(session, start, end, text) {
+  if (start === end && !text) {
+    return;
+  }
+  session.splices.push({ start, end, text, order: session.splices.length });
+}
+
+function finishSession(session) {
+  // Back to front so earlier offsets stay valid; at equal offsets the later-recorded insert
+  // goes in first, which leaves recorded inserts in document order.
+  const ordered = [...session.splices].sort(
+    (left, right) => right.start - left.start || right.order - left.order,
+  );
+  let text = session.text;
+  for (const { start, end, text: replacement } of ordered) {
+    text = text.slice(0, start) + replacement + text.slice(end);
+  }
+  if (session.crlf) {
+    text = text.replace(/\n/g, "\r\n");
+  }
+  return session.bom ? `\uFEFF${text}` : text;
+}
+
+function lineStart(text, offset) {
+  return text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+function lineEnd(text, offset) {
+  const newline = text.indexOf("\n", offset);
+  return newline < 0 ? text.length : newline;
+}
+
+function isFirstOnLine(text, offset) {
+  return !text.slice(lineStart(text, offset), offset).trim();
+}
+
+function isPlaceholder(node) {
+  return node.kind === "scalar" && node.style === "plain" && node.raw === "" && !node.anchor;
+}
+
+function describePath(path) {
+  return path.length > 0 ? `"${path.join(".")}"` : "the document root";
+}
+
+// `slot.indicatorEnd` is the offset just past the ":" or "-" that introduces the node and
+// `slot.indent` the indentation of that key or dash.
+function replaceNode(session, node, value, slot) {
+  const { text } = session;
+
+  if (node.flow && (Array.isArray(value) || isPlainObject(value))) {
+    splice(session, node.offset, node.end, formatFlow(value));
+    return;
+  }
+
+  const { head, body } = renderValue(value, slot.indent);
+  const keyLineEnd = lineEnd(text, slot.indicatorEnd);
+  const onKeyLine = !isPlaceholder(node) && node.offset < keyLineEnd;
+  const headEnd = onKeyLine ? Math.min(node.end, keyLineEnd) : slot.indicatorEnd;
+  splice(session, slot.indicatorEnd, headEnd, head);
+
+  const bodyText = body.map((line) => `\n${line}`).join("");
+  if (!isPlaceholder(node) && node.end > keyLineEnd) {
+    const bodyStart = onKeyLine ? keyLineEnd : lineStart(text, node.offset) - 1;
+    splice(session, Math.max(bodyStart, keyLineEnd), node.end, bodyText);
+  } else {
+    splice(session, keyLineEnd, keyLineEnd, bodyText);
+  }
+}
+
+function updateNode(session, node, value, slot, path) {
+  if (nodeEquals(node, value)) {
+    return;
+  }
+  if (node.kind === "mapping" && !node.flow && isPlainObject(value)) {
+    if (updateMapping(session, node, value, path)) {
+      return;
+    }
+  } else if (node.kind === "sequence" && !node.flow && Array.isArray(value)) {
+    if (updateSequence(session, node, value, path)) {
+      return;
+    }
+  } else if (
+    node.kind === "scalar" &&
+    !isPlaceholder(node) &&
+    node.style !== "literal" &&
+    node.style !== "folded" &&
+    !session.text.slice(node.offset, node.end).includes("\n") &&
+    !Array.isArray(value) &&
+    !isPlainObject(value) &&
+    !isLiteralBlockText(value)
+  ) {
+    splice(session, node.offset, node.end, formatScalar(value, node.style));
+    return;
+  }
+  if (!slot) {
+    throw new Error(`Cannot rewrite ${describePath(path)} in place.`);
+  }
+  replaceNode(session, node, value, slot);
+}
+
+function keyIndicatorEnd(session, key) {
+  const colon = session.text.indexOf(":", key.end);
+  if (colon < 0) {
+    throw new Error(`Cannot locate ":" after key at line ${key.line}.`);
+  }
+  return colon + 1;
+}
+
+// Returns false when the mapping has to be replaced as a whole instead.
+function updateMapping(session, node, value, path) {
+  const { text } = session;
+  const current = toValue(node);
+  const indent = node.column - 1;
+  const own = new Map();
+  for (const item of node.items) {
+    const name = String(toValue(item.key));
+    if (name !== "<<" || item.key.style !== "plain") {
+      own.set(name, item);
+    }
+  }
+
+  const removed = [...own.keys()].filter(
+    (name) => !Object.prototype.hasOwnProperty.call(value, name),
+  );
+  if (removed.length > 0 && removed.length === own.size) {
+    return false;
+  }
+  for (const name of removed) {
+    if (!isFirstOnLine(text, own.get(name).key.offset)) {
+      return false;
+    }
+  }
+
+  const added = [];
+  for (const [name, item] of Object.entries(value)) {
+    const entry = own.get(name);
+    if (entry) {
+      const slot = { indent, indicatorEnd: keyIndicatorEnd(session, entry.key) };
+      updateNode(session, entry.value, item, slot, [...path, name]);
+      continue;
+    }
+    if (Object.prototype.hasOwnProperty.call(current, name) && deepEqual(current[name], item)) {
+      // Provided by a merge key ("<<: *defaults").
+      continue;
+    }
+    added.push(...renderEntryLines(name, item, indent));
+  }
+
+  for (const name of removed) {
+    const entry = own.get(name);
+    const start = lineStart(text, entry.key.offset);
+    const end = lineEnd(text, Math.max(entry.key.end, entry.value.end));
+    if (start > 0) {
+      splice(session, start - 1, end, "");
+    } else {
+      splice(session, 0, Math.min(end + 1, text.length), "");
+    }
+  }
+
+  if (added.length > 0) {
+    const insertAt = lineEnd(text, node.end);
+    splice(session, insertAt, insertAt, added.map((line) => `\n${line}`).join(""));
+  }
+  return true;
+}
+
+// Returns false when the sequence has to be replaced as a whole instead.
+function updateSequence(session, node, value, path) {
+  const { text } = session;
+  const indent = node.column - 1;
+  if (value.length === 0 || node.entryOffsets.length !== node.items.length) {
+    return false;
+  }
+
+  const shared = Math.min(value.length, node.items.length);
+  for (let index = 0; index < shared; index += 1) {
+    const slot = { indent, indicatorEnd: node.entryOffsets[index] + 1 };
+    updateNode(session, node.items[index], value[index], slot, [...path, index]);
+  }
+
+  if (value.length > node.items.length) {
+    const insertAt = lineEnd(text, node.end);
+    const lines = value.slice(shared).flatMap((item) => renderItemLines(item, indent));
+    splice(session, insertAt, insertAt, lines.map((line) => `\n${line}`).join(""));
+  } else if (value.length < node.items.length) {
+    const first = node.entryOffsets[shared];
+    if (!isFirstOnLine(text, first)) {
+      return false;
+    }
+    splice(session, lineStart(text, first) - 1, lineEnd(text, node.end), "");
+  }
+  return true;
+}
+
+function updateYamlText(text, value) {
+  const session = createSession(text);
+  const { root } = session;
+
+  if (!root || isPlaceholder(root)) {
+    if (!isPlainObject(value)) {
+      throw new Error("Cannot rewrite the document root in place.");
+    }
+    const lines = renderMappingLines(value, 0);
+    const prefix = session.text && !session.text.endsWith("\n") ? "\n" : "";
+    splice(session, session.text.length, session.text.length, `${prefix}${lines.join("\n")}\n`);
+    return finishSession(session);
+  }
+
+  updateNode(session, root, value, null, []);
+  return finishSession(session);
+}
+
+function cloneValue(value) {
+  return typeof value === "undefined" ? value : JSON.parse(JSON.stringify(value));
+}
+
+// Sets the value at a key path such as ["targets", "claude", "path"], creating missing
+// mappings along the way.
+function setYamlValue(text, path, value) {
+  const document = parseYaml(String(text).replace(/^\uFEFF/, ""));
+  const data = cloneValue(toValue(document.root));
+  const root = isPlainObject(data) ? data : {};
+  let cursor = root;
+  for (const segment of path.slice(0, -1)) {
+    if (!isPlainObject(cursor[segment]) && !Array.isArray(cursor[segment])) {
+      cursor[segment] = {};
+    }
+    cursor = cursor[segment];
+  }
+  cursor[path[path.length - 1]] = cloneValue(value);
+  return updateYamlText(text, root);
+}
+
+module.exports = {
+  renderYamlEntry: renderEntryLines,
+  setYamlValue,
+  updateYamlText,
+};
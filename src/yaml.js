@@ -0,0 +1,1196 @@
+// Dependency-free YAML 1.2 subset parser used for .agentrules/rules.yaml.
+//
+// Supported: block mappings and sequences (including compact "- key: value" items), flow
+// collections spanning multiple lines, plain/single/double-quoted scalars, literal and folded
+// block scalars with chomping/indentation indicators, comments, anchors, aliases, merge keys
+// and a leading "---" document marker. Tags other than "!!str" are accepted and ignored.
+//
+// parseYaml returns a node tree where every node carries its 1-based line and column, plus the
+// syntax errors that were found. Parsing recovers at the next entry of the enclosing block
+// collection, so a single broken line does not hide the rest of the document.
+
+const FLOW_INDICATORS = ",[]{}";
+const ESCAPES = {
+  0: "\0",
+  a: "\x07",
+  b: "\b",
+  t: "\t",
+  "\t": "\t",
+  n: "\n",
+  v: "\v",
+  f: "\f",
+  r: "\r",
+  e: "\x1b",
+  " ": " ",
+  '"': '"',
+  "/": "/",
+  "\\": "\\",
+  N: "\x85",
+  _: "\xa0",
+  L: "\u2028",
+  P: "\u2029",
+};
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+function createState(text) {
+  const source = String(text).replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const lineStarts = [0];
+  for (let index = 0; index < source.length; index += 1) {
+    if (source[index] === "\n") {
+      lineStarts.push(index + 1);
+    }
+  }
+  return { text: source, pos: 0, lineStarts, anchors: new Map(), errors: [], flow: null };
+}
+
+function locate(state, offset) {
+  let low = 0;
+  let high = state.lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (state.lineStarts[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return { line: low + 1, column: offset - state.lineStarts[low] + 1 };
+}
+
+function syntaxError(state, message, offset) {
+  const at = typeof offset === "number" ? offset : state.pos;
+  const position = locate(state, Math.min(at, state.text.length));
+  const error = new Error(`${message} (line ${position.line}, column ${position.column})`);
+  error.yaml = { message, line: position.line, column: position.column, offset: at };
+  return error;
+}
+
+function createNode(state, kind, offset, fields) {
+  const position = locate(state, offset);
+  return { kind, line: position.line, column: position.column, offset, ...fields };
+}
+
+// Offset just past the last non-blank character before the cursor, so a node's text can be
+// spliced without touching trailing comments or line breaks.
+function contentEnd(state, from) {
+  let end = state.pos;
+  while (end > from && /\s/.test(state.text[end - 1])) {
+    end -= 1;
+  }
+  return end;
+}
+
+function lineStartOf(state, offset) {
+  return state.text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+function columnOf(state, offset) {
+  return offset - lineStartOf(state, offset);
+}
+
+function isBlank(char) {
+  return typeof char === "undefined" || char === " " || char === "\t" || char === "\n";
+}
+
+function atEnd(state) {
+  return state.pos >= state.text.length;
+}
+
+function skipInlineSpace(state) {
+  while (state.text[state.pos] === " " || state.text[state.pos] === "\t") {
+    state.pos += 1;
+  }
+}
+
+function skipComment(state) {
+  if (state.text[state.pos] !== "#") {
+    return;
+  }
+  const newline = state.text.indexOf("\n", state.pos);
+  state.pos = newline < 0 ? state.text.length : newline;
+}
+
+function atLineEnd(state) {
+  const char = state.text[state.pos];
+  return typeof char === "undefined" || char === "\n" || char === "#";
+}
+
+function isDocumentMarker(state, offset) {
+  const at = typeof offset === "number" ? offset : state.pos;
+  if (columnOf(state, at) !== 0) {
+    return false;
+  }
+  const marker = state.text.slice(at, at + 3);
+  return (marker === "---" || marker === "...") && isBlank(state.text[at + 3]);
+}
+
+function skipToNextContent(state) {
+  while (!atEnd(state)) {
+    skipInlineSpace(state);
+    skipComment(state);
+    if (state.text[state.pos] === "\n") {
+      state.pos += 1;
+      continue;
+    }
+    break;
+  }
+
+  if (!atEnd(state)) {
+    const indentation = state.text.slice(lineStartOf(state, state.pos), state.pos);
+    if (indentation.includes("\t")) {
+      throw syntaxError(state, "Tabs are not allowed for indentation", state.pos);
+    }
+  }
+}
+
+// Ensures nothing but whitespace or a comment follows a node on its line. Block collections
+// and block scalars already leave the cursor at the start of the following line.
+function finishLine(state) {
+  skipInlineSpace(state);
+  skipComment(state);
+  if (atEnd(state) || state.text[state.pos] === "\n") {
+    return;
+  }
+  if (!state.text.slice(lineStartOf(state, state.pos), state.pos).trim()) {
+    return;
+  }
+  throw syntaxError(state, "Unexpected content after value");
+}
+
+function skipToLineAtOrBelow(state, indent, fromCurrentLine) {
+  if (fromCurrentLine) {
+    state.pos = lineStartOf(state, state.pos);
+  } else {
+    const newline = state.text.indexOf("\n", state.pos);
+    state.pos = newline < 0 ? state.text.length : newline + 1;
+  }
+  while (!atEnd(state)) {
+    const start = state.pos;
+    skipInlineSpace(state);
+    const char = state.text[state.pos];
+    if (typeof char !== "undefined" && char !== "\n" && char !== "#") {
+      if (state.pos - start <= indent) {
+        return;
+      }
+    }
+    const next = state.text.indexOf("\n", state.pos);
+    state.pos = next < 0 ? state.text.length : next + 1;
+  }
+}
+
+function resolvePlainScalar(raw) {
+  if (raw === "" || raw === "~" || /^(null|Null|NULL)$/.test(raw)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(raw)) {
+    return true;
+  }
+  if (/^(false|False|FALSE)$/.test(raw)) {
+    return false;
+  }
+  if (/^[-+]?[0-9]+$/.test(raw)) {
+    return Number(raw);
+  }
+  if (/^0o[0-7]+$/.test(raw)) {
+    return parseInt(raw.slice(2), 8);
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(raw)) {
+    return parseInt(raw.slice(2), 16);
+  }
+  if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(raw)) {
+    return Number(raw);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(raw)) {
+    return raw.startsWith("-") ? -Infinity : Infinity;
+  }
+  if (/^\.(nan|NaN|NAN)$/.test(raw)) {
+    return NaN;
+  }
+  return raw;
+}
+
+function scanQuotedLineEnd(state, out, trimFrom) {
+  // Folds a line break inside a quoted scalar: a single break becomes a space, each
+  // additional empty line becomes a newline.
+  let result = out.slice(0, trimFrom) + out.slice(trimFrom).replace(/[ \t]+$/, "");
+  let breaks = 0;
+  while (state.text[state.pos] === "\n") {
+    state.pos += 1;
+    skipInlineSpace(state);
+    if (state.text[state.pos] === "\n") {
+      breaks += 1;
+    }
+  }
+  if (isDocumentMarker(state)) {
+    throw syntaxError(state, "Unexpected document marker inside quoted scalar");
+  }
+  result += breaks > 0 ? "\n".repeat(breaks) : " ";
+  return result;
+}
+
+function parseDoubleQuoted(state) {
+  const start = state.pos;
+  state.pos += 1;
+  let out = "";
+  let trimFrom = 0;
+
+  while (true) {
+    const char = state.text[state.pos];
+    if (typeof char === "undefined") {
+      throw syntaxError(state, "Unterminated double-quoted string", start);
+    }
+    if (char === '"') {
+      state.pos += 1;
+      break;
+    }
+    if (char === "\n") {
+      out = scanQuotedLineEnd(state, out, trimFrom);
+      trimFrom = out.length;
+      continue;
+    }
+    if (char === "\\") {
+      const code = state.text[state.pos + 1];
+      if (code === "\n") {
+        state.pos += 2;
+        skipInlineSpace(state);
+        trimFrom = out.length;
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(ESCAPES, code)) {
+        out += ESCAPES[code];
+        state.pos += 2;
+        trimFrom = out.length;
+        continue;
+      }
+      if (Object.prototype.hasOwnProperty.call(HEX_ESCAPE_LENGTHS, code)) {
+        const length = HEX_ESCAPE_LENGTHS[code];
+        const hex = state.text.slice(state.pos + 2, state.pos + 2 + length);
+        if (hex.length !== length || !/^[0-9a-fA-F]+$/.test(hex)) {
+          throw syntaxError(state, `Invalid \\${code} escape`);
+        }
+        out += String.fromCodePoint(parseInt(hex, 16));
+        state.pos += 2 + length;
+        trimFrom = out.length;
+        continue;
+      }
+      throw syntaxError(state, `Unknown escape sequence \\${code || ""}`);
+    }
+    out += char;
+    state.pos += 1;
+    if (char !== " " && char !== "\t") {
+      trimFrom = out.length;
+    }
+  }
+
+  return createNode(state, "scalar", start, { value: out, style: "double", end: state.pos });
+}
+
+function parseSingleQuoted(state) {
+  const start = state.pos;
+  state.pos += 1;
+  let out = "";
+  let trimFrom = 0;
+
+  while (true) {
+    const char = state.text[state.pos];
+    if (typeof char === "undefined") {
+      throw syntaxError(state, "Unterminated single-quoted string", start);
+    }
+    if (char === "'") {
+      if (state.text[state.pos + 1] === "'") {
+        out += "'";
+        state.pos += 2;
+        trimFrom = out.length;
+        continue;
+      }
+      state.pos += 1;
+      break;
+    }
+    if (char === "\n") {
+      out = scanQuotedLineEnd(state, out, trimFrom);
+      trimFrom = out.length;
+      continue;
+    }
+    out += char;
+    state.pos += 1;
+    if (char !== " " && char !== "\t") {
+      trimFrom = out.length;
+    }
+  }
+
+  return createNode(state, "scalar", start, { value: out, style: "single", end: state.pos });
+}
+
+function foldBlockLines(lines) {
+  let out = "";
+  let pendingBreaks = 0;
+  let wroteText = false;
+  let lastMoreIndented = false;
+
+  for (const line of lines) {
+    if (line === "") {
+      pendingBreaks += 1;
+      continue;
+    }
+    const moreIndented = /^[ \t]/.test(line);
+    if (!wroteText) {
+      out += "\n".repeat(pendingBreaks);
+    } else if (moreIndented || lastMoreIndented) {
+      out += "\n".repeat(pendingBreaks + 1);
+    } else {
+      out += pendingBreaks > 0 ? "\n".repeat(pendingBreaks) : " ";
+    }
+    out += line;
+    wroteText = true;
+    lastMoreIndented = moreIndented;
+    pendingBreaks = 0;
+  }
+  return out;
+}
+
+function parseBlockScalar(state, parentIndent) {
+  const start = state.pos;
+  const style = state.text[state.pos] === ">" ? "folded" : "literal";
+  state.pos += 1;
+
+  let chomp = "clip";
+  let indentIndicator = null;
+  for (let count = 0; count < 2; count += 1) {
+    const char = state.text[state.pos];
+    if ((char === "-" || char === "+") && chomp === "clip") {
+      chomp = char === "-" ? "strip" : "keep";
+      state.pos += 1;
+    } else if (/[1-9]/.test(char || "") && indentIndicator === null) {
+      indentIndicator = Number(char);
+      state.pos += 1;
+    }
+  }
+
+  skipInlineSpace(state);
+  skipComment(state);
+  if (!atEnd(state) && state.text[state.pos] !== "\n") {
+    throw syntaxError(state, "Unexpected content after block scalar indicator");
+  }
+  if (!atEnd(state)) {
+    state.pos += 1;
+  }
+
+  const rawLines = [];
+  let contentIndent = indentIndicator === null ? null : Math.max(parentIndent, 0) + indentIndicator;
+  let cursor = state.pos;
+
+  while (cursor < state.text.length) {
+    const newline = state.text.indexOf("\n", cursor);
+    const lineEnd = newline < 0 ? state.text.length : newline;
+    const line = state.text.slice(cursor, lineEnd);
+    const indent = line.match(/^ */)[0].length;
+
+    if (!line.trim()) {
+      rawLines.push(line);
+    } else {
+      if (contentIndent === null) {
+        contentIndent = indent;
+      }
+      if (
+        indent < contentIndent ||
+        contentIndent <= parentIndent ||
+        isDocumentMarker(state, cursor)
+      ) {
+        break;
+      }
+      rawLines.push(line);
+    }
+    cursor = newline < 0 ? state.text.length : newline + 1;
+  }
+
+  if (contentIndent === null || contentIndent <= parentIndent) {
+    contentIndent = parentIndent + 1;
+  }
+
+  const lines = rawLines.map((line) => (line.trim() ? line.slice(contentIndent) : ""));
+  let lastContent = lines.length - 1;
+  while (lastContent >= 0 && lines[lastContent] === "") {
+    lastContent -= 1;
+  }
+  const body = lines.slice(0, lastContent + 1);
+  const trailingBreaks = lines.length - body.length;
+
+  let value = style === "folded" ? foldBlockLines(body) : body.join("\n");
+  if (body.length > 0 && chomp !== "strip") {
+    value += "\n";
+  }
+  if (chomp === "keep") {
+    value += "\n".repeat(trailingBreaks);
+  }
+
+  // Leave the cursor at the start of the first line that is not part of the scalar.
+  state.pos = cursor;
+  return createNode(state, "scalar", start, { value, style, end: contentEnd(state, start) });
+}
+
+function plainNode(state, offset, raw) {
+  return createNode(state, "scalar", offset, {
+    value: resolvePlainScalar(raw),
+    style: "plain",
+    raw,
+    end: raw ? contentEnd(state, offset) : offset,
+  });
+}
+
+function scanPlainLine(state, flow) {
+  const start = state.pos;
+  while (!atEnd(state)) {
+    const char = state.text[state.pos];
+    const next = state.text[state.pos + 1];
+    if (char === "\n") {
+      break;
+    }
+    if (char === "#" && /[ \t]/.test(state.text[state.pos - 1] || "")) {
+      break;
+    }
+    if (char === ":" && (isBlank(next) || (flow && FLOW_INDICATORS.includes(next)))) {
+      break;
+    }
+    if (flow && FLOW_INDICATORS.includes(char)) {
+      break;
+    }
+    state.pos += 1;
+  }
+  return state.text.slice(start, state.pos).replace(/[ \t]+$/, "");
+}
+
+function parseBlockPlain(state, parentIndent, inline) {
+  const start = state.pos;
+  let value = scanPlainLine(state, false);
+
+  if (state.text[state.pos] === ":") {
+    throw syntaxError(state, inline ? "Mapping values are not allowed here" : "Unexpected mapping key");
+  }
+
+  while (!atEnd(state)) {
+    const save = state.pos;
+    skipInlineSpace(state);
+    if (state.text[state.pos] === "#") {
+      state.pos = save;
+      break;
+    }
+    if (state.text[state.pos] !== "\n") {
+      state.pos = save;
+      break;
+    }
+
+    // Look ahead for a more-indented continuation line.
+    let breaks = 0;
+    let cursor = state.pos;
+    let continuation = null;
+    while (cursor < state.text.length && state.text[cursor] === "\n") {
+      const lineStart = cursor + 1;
+      const newline = state.text.indexOf("\n", lineStart);
+      const lineEnd = newline < 0 ? state.text.length : newline;
+      const line = state.text.slice(lineStart, lineEnd);
+      if (!line.trim()) {
+        breaks += 1;
+        cursor = lineEnd;
+        continue;
+      }
+      const indent = line.match(/^[ \t]*/)[0].length;
+      if (
+        indent > parentIndent &&
+        !line.trim().startsWith("#") &&
+        !isDocumentMarker(state, lineStart)
+      ) {
+        continuation = lineStart + indent;
+      }
+      break;
+    }
+
+    if (continuation === null) {
+      state.pos = save;
+      break;
+    }
+
+    state.pos = continuation;
+    const part = scanPlainLine(state, false);
+    if (state.text[state.pos] === ":") {
+      throw syntaxError(state, "Mapping values are not allowed here");
+    }
+    value += breaks > 0 ? "\n".repeat(breaks) : " ";
+    value += part;
+  }
+
+  return plainNode(state, start, value);
+}
+
+function parseFlowPlain(state) {
+  const start = state.pos;
+  let value = scanPlainLine(state, true);
+
+  while (state.text[state.pos] === "\n" || /[ \t]/.test(state.text[state.pos] || "")) {
+    const save = state.pos;
+    skipFlowSpace(state);
+    const char = state.text[state.pos];
+    if (
+      typeof char === "undefined" ||
+      FLOW_INDICATORS.includes(char) ||
+      char === "#" ||
+      isFlowValueIndicator(state, false)
+    ) {
+      state.pos = save;
+      break;
+    }
+    value += ` ${scanPlainLine(state, true)}`;
+  }
+
+  return plainNode(state, start, value);
+}
+
+function unterminatedFlow(state) {
+  const error = syntaxError(state, `Unterminated flow ${state.flow.kind}`, state.flow.offset);
+  error.yaml.resume = true;
+  return error;
+}
+
+// Skips whitespace, line breaks and comments inside a flow collection. A flow collection
+// nested in a block must keep its continuation lines indented deeper than the block, so an
+// under-indented line means the closing bracket is missing.
+function skipFlowSpace(state) {
+  while (!atEnd(state)) {
+    const char = state.text[state.pos];
+    if (char === " " || char === "\t" || char === "\n") {
+      state.pos += 1;
+      continue;
+    }
+    if (char === "#" && (state.pos === 0 || isBlank(state.text[state.pos - 1]))) {
+      skipComment(state);
+      continue;
+    }
+    break;
+  }
+
+  const flow = state.flow;
+  if (
+    flow &&
+    !atEnd(state) &&
+    lineStartOf(state, state.pos) > flow.offset &&
+    columnOf(state, state.pos) <= flow.indent &&
+    !"]}".includes(state.text[state.pos])
+  ) {
+    throw unterminatedFlow(state);
+  }
+}
+
+function skipToken(state) {
+  while (
+    !atEnd(state) &&
+    !isBlank(state.text[state.pos]) &&
+    !FLOW_INDICATORS.includes(state.text[state.pos])
+  ) {
+    state.pos += 1;
+  }
+}
+
+function parseProperties(state) {
+  const properties = {};
+  while (true) {
+    const char = state.text[state.pos];
+    if (char !== "&" && char !== "!") {
+      break;
+    }
+    const start = state.pos;
+    skipToken(state);
+    const token = state.text.slice(start, state.pos);
+    if (char === "&") {
+      if (token.length < 2) {
+        throw syntaxError(state, "Anchor name is missing", start);
+      }
+      if (properties.anchor) {
+        throw syntaxError(state, "A node can only have one anchor", start);
+      }
+      properties.anchor = token.slice(1);
+    } else {
+      properties.tag = token;
+    }
+    skipInlineSpace(state);
+  }
+  return properties;
+}
+
+function applyProperties(state, node, properties, offset) {
+  let target = node;
+  if (!target) {
+    target = plainNode(state, offset, "");
+  }
+  if (properties.tag) {
+    target.tag = properties.tag;
+    if (properties.tag === "!!str" && target.kind === "scalar") {
+      target.value = typeof target.raw === "string" ? target.raw : String(target.value);
+    }
+  }
+  if (properties.anchor) {
+    target.anchor = properties.anchor;
+    state.anchors.set(properties.anchor, target);
+  }
+  return target;
+}
+
+function parseAlias(state) {
+  const start = state.pos;
+  state.pos += 1;
+  skipToken(state);
+  const name = state.text.slice(start + 1, state.pos);
+  if (!name) {
+    throw syntaxError(state, "Alias name is missing", start);
+  }
+  const target = state.anchors.get(name);
+  if (!target) {
+    throw syntaxError(state, `Unknown anchor "${name}"`, start);
+  }
+  return createNode(state, "alias", start, { name, target, end: state.pos });
+}
+
+function parseFlowNode(state) {
+  const start = state.pos;
+  const properties = parseProperties(state);
+  skipFlowSpace(state);
+  const char = state.text[state.pos];
+  let node = null;
+
+  if (char === "[" || char === "{") {
+    node = parseFlowCollection(state);
+  } else if (char === '"') {
+    node = parseDoubleQuoted(state);
+  } else if (char === "'") {
+    node = parseSingleQuoted(state);
+  } else if (char === "*") {
+    node = parseAlias(state);
+  } else if (typeof char === "undefined") {
+    throw unterminatedFlow(state);
+  } else if (char === "," || char === "]" || char === "}") {
+    node = null;
+  } else {
+    node = parseFlowPlain(state);
+  }
+
+  if (properties.anchor || properties.tag) {
+    return applyProperties(state, node, properties, start);
+  }
+  return node;
+}
+
+function isFlowValueIndicator(state, afterQuoted) {
+  if (state.text[state.pos] !== ":") {
+    return false;
+  }
+  const next = state.text[state.pos + 1];
+  return afterQuoted || isBlank(next) || FLOW_INDICATORS.includes(next);
+}
+
+function parseFlowCollection(state, parentIndent) {
+  const start = state.pos;
+  const isMapping = state.text[state.pos] === "{";
+  if (state.flow) {
+    return parseFlowEntries(state, isMapping);
+  }
+
+  state.flow = { offset: start, indent: parentIndent, kind: isMapping ? "mapping" : "sequence" };
+  try {
+    return parseFlowEntries(state, isMapping);
+  } finally {
+    state.flow = null;
+  }
+}
+
+function parseFlowEntries(state, isMapping) {
+  const start = state.pos;
+  const closing = isMapping ? "}" : "]";
+  const node = createNode(state, isMapping ? "mapping" : "sequence", start, {
+    items: [],
+    flow: true,
+  });
+  state.pos += 1;
+
+  while (true) {
+    skipFlowSpace(state);
+    if (atEnd(state)) {
+      throw unterminatedFlow(state);
+    }
+    if (state.text[state.pos] === closing) {
+      state.pos += 1;
+      break;
+    }
+
+    const entryStart = state.pos;
+    const first = parseFlowNode(state);
+    const quoted = Boolean(first && first.kind === "scalar" && first.style !== "plain");
+    const collection = Boolean(first && (first.kind === "mapping" || first.kind === "sequence"));
+    skipFlowSpace(state);
+
+    let entry = null;
+    if (isFlowValueIndicator(state, quoted || collection)) {
+      state.pos += 1;
+      skipFlowSpace(state);
+      const next = state.text[state.pos];
+      const value = next === "," || next === closing ? null : parseFlowNode(state);
+      entry = {
+        key: first || plainNode(state, entryStart, ""),
+        value: value || plainNode(state, state.pos, ""),
+      };
+    } else if (isMapping) {
+      entry = {
+        key: first || plainNode(state, entryStart, ""),
+        value: plainNode(state, state.pos, ""),
+      };
+    }
+
+    if (isMapping) {
+      node.items.push(entry);
+    } else if (entry) {
+      const pair = createNode(state, "mapping", entryStart, {
+        items: [entry],
+        flow: true,
+        end: Math.max(entry.key.end, entry.value.end),
+      });
+      node.items.push(pair);
+    } else {
+      node.items.push(first || plainNode(state, entryStart, ""));
+    }
+
+    skipFlowSpace(state);
+    const char = state.text[state.pos];
+    if (char === ",") {
+      state.pos += 1;
+      continue;
+    }
+    if (char === closing) {
+      state.pos += 1;
+      break;
+    }
+    if (atEnd(state)) {
+      throw unterminatedFlow(state);
+    }
+    throw syntaxError(state, `Expected "," or "${closing}" in flow collection`);
+  }
+
+  node.end = state.pos;
+  return node;
+}
+
+function looksLikeMappingKey(state) {
+  let cursor = state.pos;
+  const text = state.text;
+  const first = text[cursor];
+
+  if (first === '"' || first === "'") {
+    cursor += 1;
+    while (cursor < text.length && text[cursor] !== "\n") {
+      if (first === '"' && text[cursor] === "\\") {
+        cursor += 2;
+        continue;
+      }
+      if (text[cursor] === first) {
+        if (first === "'" && text[cursor + 1] === "'") {
+          cursor += 2;
+          continue;
+        }
+        break;
+      }
+      cursor += 1;
+    }
+    if (text[cursor] !== first) {
+      return false;
+    }
+    cursor += 1;
+    while (text[cursor] === " " || text[cursor] === "\t") {
+      cursor += 1;
+    }
+    return text[cursor] === ":" && isBlank(text[cursor + 1]);
+  }
+
+  if (first === "[" || first === "{" || first === "*" || first === "&" || first === "!") {
+    return false;
+  }
+
+  while (cursor < text.length && text[cursor] !== "\n") {
+    const char = text[cursor];
+    if (char === "#" && /[ \t]/.test(text[cursor - 1] || "")) {
+      return false;
+    }
+    if (char === ":" && isBlank(text[cursor + 1])) {
+      return true;
+    }
+    cursor += 1;
+  }
+  return false;
+}
+
+function isSequenceEntry(state) {
+  return state.text[state.pos] === "-" && isBlank(state.text[state.pos + 1]);
+}
+
+function parseMappingKey(state) {
+  const char = state.text[state.pos];
+  let key;
+  if (char === '"') {
+    key = parseDoubleQuoted(state);
+  } else if (char === "'") {
+    key = parseSingleQuoted(state);
+  } else {
+    const start = state.pos;
+    key = plainNode(state, start, scanPlainLine(state, false));
+  }
+  skipInlineSpace(state);
+  if (state.text[state.pos] !== ":") {
+    throw syntaxError(state, 'Expected ":" after mapping key');
+  }
+  state.pos += 1;
+  return key;
+}
+
+function keyIdentity(node) {
+  if (!node) {
+    return "null";
+  }
+  if (node.kind === "scalar") {
+    return typeof node.raw === "string" && node.style === "plain" ? node.raw : String(node.value);
+  }
+  return null;
+}
+
+// Runs one entry of a block collection; syntax errors are recorded and the cursor moves on
+// to the next line that is indented no deeper than the collection itself.
+function parseCollectionEntry(state, indent, parseEntry) {
+  try {
+    parseEntry();
+    finishLine(state);
+    return true;
+  } catch (error) {
+    if (!error.yaml) {
+      throw error;
+    }
+    state.errors.push(error.yaml);
+    skipToLineAtOrBelow(state, indent, error.yaml.resume);
+    return false;
+  }
+}
+
+function advanceToNextEntry(state, indent) {
+  while (true) {
+    try {
+      skipToNextContent(state);
+      if (atEnd(state) || isDocumentMarker(state)) {
+        return -1;
+      }
+      const column = columnOf(state, state.pos);
+      if (column > indent) {
+        throw syntaxError(state, "Unexpected indentation");
+      }
+      return column;
+    } catch (error) {
+      if (!error.yaml) {
+        throw error;
+      }
+      state.errors.push(error.yaml);
+      skipToLineAtOrBelow(state, indent);
+    }
+  }
+}
+
+function blockCollectionEnd(node) {
+  let end = node.offset;
+  for (const item of node.items) {
+    const parts = node.kind === "mapping" ? [item.key, item.value] : [item];
+    end = Math.max(end, ...parts.map((part) => part.end));
+  }
+  return end;
+}
+
+function parseBlockMapping(state, indent) {
+  const node = createNode(state, "mapping", state.pos, { items: [] });
+  const seen = new Map();
+
+  while (true) {
+    parseCollectionEntry(state, indent, () => {
+      const keyStart = state.pos;
+      if (!looksLikeMappingKey(state)) {
+        throw syntaxError(
+          state,
+          isSequenceEntry(state) ? "Unexpected sequence entry" : "Expected a mapping key",
+        );
+      }
+      const key = parseMappingKey(state);
+      skipInlineSpace(state);
+
+      let value;
+      if (atLineEnd(state)) {
+        skipComment(state);
+        value = parseIndentedBlock(state, indent, true);
+      } else {
+        value = parseBlockValue(state, indent, true);
+      }
+      const entry = { key, value: value || plainNode(state, keyStart, "") };
+
+      const identity = keyIdentity(key);
+      if (identity !== null && identity !== "<<" && seen.has(identity)) {
+        state.errors.push({
+          message: `Duplicate key "${identity}"`,
+          line: key.line,
+          column: key.column,
+          offset: key.offset,
+        });
+      }
+      seen.set(identity, entry);
+      node.items.push(entry);
+    });
+
+    if (advanceToNextEntry(state, indent) !== indent) {
+      node.end = blockCollectionEnd(node);
+      return node;
+    }
+  }
+}
+
+function parseBlockSequence(state, indent) {
+  const node = createNode(state, "sequence", state.pos, { items: [], entryOffsets: [] });
+
+  while (true) {
+    parseCollectionEntry(state, indent, () => {
+      const entryStart = state.pos;
+      state.pos += 1;
+      skipInlineSpace(state);
+      let item;
+      if (atLineEnd(state)) {
+        skipComment(state);
+        item = parseIndentedBlock(state, indent, false);
+      } else {
+        item = parseBlockValue(state, indent, false);
+      }
+      node.items.push(item || plainNode(state, entryStart, ""));
+      node.entryOffsets.push(entryStart);
+    });
+
+    if (advanceToNextEntry(state, indent) !== indent || !isSequenceEntry(state)) {
+      node.end = blockCollectionEnd(node);
+      return node;
+    }
+  }
+}
+
+function parseIndentedBlock(state, parentIndent, allowSameIndentSequence) {
+  const save = state.pos;
+  skipToNextContent(state);
+  if (atEnd(state) || isDocumentMarker(state)) {
+    state.pos = save;
+    return null;
+  }
+
+  const column = columnOf(state, state.pos);
+  if (column > parentIndent) {
+    return parseBlockValue(state, parentIndent, false);
+  }
+  if (column === parentIndent && allowSameIndentSequence && isSequenceEntry(state)) {
+    return parseBlockSequence(state, column);
+  }
+
+  state.pos = save;
+  return null;
+}
+
+function parseBlockValue(state, parentIndent, inline) {
+  const start = state.pos;
+  const column = columnOf(state, state.pos);
+  const properties = parseProperties(state);
+
+  if (properties.anchor || properties.tag) {
+    let node;
+    if (atLineEnd(state)) {
+      skipComment(state);
+      node = parseIndentedBlock(state, parentIndent, inline);
+    } else {
+      node = parseBlockValue(state, parentIndent, inline);
+    }
+    return applyProperties(state, node, properties, start);
+  }
+
+  const char = state.text[state.pos];
+  if (isSequenceEntry(state)) {
+    if (inline) {
+      throw syntaxError(state, "Sequence entries are not allowed here");
+    }
+    return parseBlockSequence(state, column);
+  }
+  if (!inline && looksLikeMappingKey(state)) {
+    return parseBlockMapping(state, column);
+  }
+  if (char === "[" || char === "{") {
+    return parseFlowCollection(state, parentIndent);
+  }
+  if (char === "|" || char === ">") {
+    return parseBlockScalar(state, parentIndent);
+  }
+  if (char === '"') {
+    return parseDoubleQuoted(state);
+  }
+  if (char === "'") {
+    return parseSingleQuoted(state);
+  }
+  if (char === "*") {
+    return parseAlias(state);
+  }
+  if ("]},@`%".includes(char)) {
+    throw syntaxError(state, `Plain scalars cannot start with "${char}"`);
+  }
+  return parseBlockPlain(state, parentIndent, inline);
+}
+
+function skipDocumentStart(state) {
+  skipToNextContent(state);
+  while (!atEnd(state) && state.text[state.pos] === "%" && columnOf(state, state.pos) === 0) {
+    const newline = state.text.indexOf("\n", state.pos);
+    state.pos = newline < 0 ? state.text.length : newline;
+    skipToNextContent(state);
+  }
+  if (isDocumentMarker(state) && state.text.startsWith("---", state.pos)) {
+    state.pos += 3;
+    skipInlineSpace(state);
+    return !atLineEnd(state);
+  }
+  return false;
+}
+
+function parseYaml(text) {
+  const state = createState(text);
+  let root = null;
+
+  try {
+    if (skipDocumentStart(state)) {
+      // Content on the "---" line itself, e.g. "--- [a, b]".
+      root = parseBlockValue(state, -1, true);
+    } else {
+      root = parseIndentedBlock(state, -1, false);
+    }
+    finishLine(state);
+    skipToNextContent(state);
+
+    if (!atEnd(state)) {
+      if (state.text.startsWith("...", state.pos) && isDocumentMarker(state)) {
+        state.pos += 3;
+        skipToNextContent(state);
+      }
+      if (!atEnd(state)) {
+        throw syntaxError(
+          state,
+          isDocumentMarker(state)
+            ? "Multiple YAML documents are not supported"
+            : "Unexpected content at the top level",
+        );
+      }
+    }
+  } catch (error) {
+    if (!error.yaml) {
+      throw error;
+    }
+    state.errors.push(error.yaml);
+  }
+
+  state.errors.sort((left, right) => left.offset - right.offset);
+  return {
+    root,
+    errors: state.errors.map(({ message, line, column }) => ({ message, line, column })),
+  };
+}
+
+function setOwnValue(target, key, value) {
+  if (key === "__proto__") {
+    Object.defineProperty(target, key, {
+      value,
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+    return;
+  }
+  target[key] = value;
+}
+
+function toValue(node, options) {
+  const opts = options || {};
+  if (!node) {
+    return null;
+  }
+  if (node.kind === "alias") {
+    return toValue(node.target, opts);
+  }
+  if (node.kind === "scalar") {
+    if (opts.trimBlockScalars && (node.style === "literal" || node.style === "folded")) {
+      return node.value.trimEnd();
+    }
+    return node.value;
+  }
+  if (node.kind === "sequence") {
+    return node.items.map((item) => toValue(item, opts));
+  }
+
+  const result = {};
+  const merged = [];
+  for (const { key, value } of node.items) {
+    const keyValue = toValue(key, opts);
+    if (keyValue === "<<" && key.style === "plain") {
+      const sources = value.kind === "sequence" ? value.items : [value];
+      merged.push(...sources.map((source) => toValue(source, opts)));
+      continue;
+    }
+    const name =
+      keyValue !== null && typeof keyValue === "object" ? JSON.stringify(keyValue) : String(keyValue);
+    setOwnValue(result, name, toValue(value, opts));
+  }
+  for (const source of merged) {
+    if (!source || typeof source !== "object" || Array.isArray(source)) {
+      continue;
+    }
+    for (const [name, value] of Object.entries(source)) {
+      if (!Object.prototype.hasOwnProperty.call(result, name)) {
+        setOwnValue(result, name, value);
+      }
+    }
+  }
+  return result;
+}
+
+function resolveAlias(node) {
+  return node && node.kind === "alias" ? resolveAlias(node.target) : node;
+}
+
+// Finds the node for a key path such as ["targets", "claude", "path"]. When part of the path
+// is missing, the deepest existing node is returned with found: false.
+function findNodeAtPath(root, path) {
+  let key = null;
+  let value = root;
+
+  for (const segment of path) {
+    const current = resolveAlias(value);
+    let next = null;
+    if (current && current.kind === "mapping") {
+      for (const item of current.items) {
+        if (String(toValue(item.key)) === String(segment)) {
+          next = item;
+        }
+      }
+    } else if (current && current.kind === "sequence" && Number.isInteger(segment)) {
+      next = segment < current.items.length ? { key: null, value: current.items[segment] } : null;
+    }
+
+    if (!next) {
+      return { key, value, found: false };
+    }
+    key = next.key;
+    value = next.value;
+  }
+
+  return { key, value, found: true };
+}
+
+module.exports = {
+  findNodeAtPath,
+  parseYaml,
+  toValue,
+};
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { diffLines, formatUnifiedDiff, mergeText } = require("../src/diff.js");
+
+test("diffLines keeps common lines and groups removals before additions", () => {
+  const ops = diffLines(["a", "b", "c", "d"], ["a", "x", "c", "d", "e"]);
+  assert.deepEqual(
+    ops.map((op) => `${op.type}${op.line}`),
+    [" a", "-b", "+x", " c", " d", "+e"],
+  );
+  assert.deepEqual(diffLines([], ["a"]), [{ type: "+", line: "a" }]);
+});
+
+test("mergeText combines independent edits and marks overlapping ones", () => {
+  const base = "## Workflow\n- Read.\n- Test.\n\n## Commands\n- test: `npm test`";
+  const ours = base.replace("- Read.\n", "- Read.\n- Ask first.\n");
+  const theirs = base.replace("`npm test`", "`node --test`");
+  assert.deepEqual(mergeText(base, ours, theirs), {
+    text: "## Workflow\n- Read.\n- Ask first.\n- Test.\n\n## Commands\n- test: `node --test`",
+    conflicts: 0,
+  });
+  assert.deepEqual(mergeText(base, ours, base), { text: ours, conflicts: 0 });
+  assert.deepEqual(mergeText(base, ours, ours), { text: ours, conflicts: 0 });
+
+  const clash = mergeText(
+    base,
+    base.replace("- Test.", "- Lint."),
+    base.replace("- Test.", "- Build."),
+    { ours: "AGENTS.md", theirs: "rules.yaml" },
+  );
+  assert.equal(clash.conflicts, 1);
+  assert.match(
+    clash.text,
+    /- Read\.\n<<<<<<< AGENTS\.md\n- Lint\.\n=======\n- Build\.\n>>>>>>> rules\.yaml\n\n/,
+  );
+});
+
+test("formatUnifiedDiff writes git-style hunks with configurable context", () => {
+  const before = "1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n11\n12\n";
+  const after = before.replace("2\n", "2\nX\n").replace("11\n", "eleven\n");
+  assert.equal(
+    formatUnifiedDiff(before, after, { path: "AGENTS.md" }),
+    [
+      "--- a/AGENTS.md",
+      "+++ b/AGENTS.md",
+      "@@ -1,5 +1,6 @@",
+      ...[" 1", " 2", "+X", " 3", " 4", " 5"],
+      "@@ -8,5 +9,5 @@",
+      ...[" 8", " 9", " 10", "-11", "+eleven", " 12"],
+    ].join("\n"),
+  );
+  assert.equal(
+    formatUnifiedDiff(before, after, { path: "AGENTS.md", context: 0 }),
+    "--- a/AGENTS.md\n+++ b/AGENTS.md\n@@ -2,0 +3 @@\n+X\n@@ -11 +12 @@\n-11\n+eleven",
+  );
+  assert.equal(formatUnifiedDiff(before, before, { path: "AGENTS.md" }), "");
+});
+
+test("formatUnifiedDiff handles created, removed and unterminated files", () => {
+  assert.equal(
+    formatUnifiedDiff(null, "a\n", { path: "CLAUDE.md" }),
+    "--- /dev/null\n+++ b/CLAUDE.md\n@@ -0,0 +1 @@\n+a",
+  );
+  assert.equal(
+    formatUnifiedDiff("a\n", null, { path: "CLAUDE.md" }),
+    "--- a/CLAUDE.md\n+++ /dev/null\n@@ -1 +0,0 @@\n-a",
+  );
+  assert.equal(
+    formatUnifiedDiff("a\nb", "a\nb\n", { path: "CLAUDE.md" }),
+    "--- a/CLAUDE.md\n+++ b/CLAUDE.md\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b",
+  );
+});
@@ -1,6 +1,7 @@
 const test = require("node:test");
 const assert = require("node:assert/strict");
 const { ADAPTERS, createDefaultRules } = require("../src/index.js");
+const { normalizeAdapterOutputs } = require("../src/adapters/index.js");
 
 function getAdapter(id) {
   const adapter = ADAPTERS.find((item) => item.id === id);
@@ -8,6 +9,16 @@ function getAdapter(id) {
   return adapter;
 }
 
+// Content of the output written to the adapter's default path.
+function renderMain(adapter, rules) {
+  const outputs = normalizeAdapterOutputs(
+    adapter,
+    adapter.render(rules, { path: adapter.defaultPath }),
+    adapter.defaultPath,
+  );
+  return outputs.find((output) => output.path === adapter.defaultPath).content;
+}
+
 function defaultRules() {
   return createDefaultRules({
     lint: "echo lint",
@@ -78,7 +89,7 @@ test("golden render: codex managed block", () => {
 });
 
 test("golden render: copilot", () => {
-  const rendered = getAdapter("copilot").render(defaultRules()).trimEnd();
+  const rendered = renderMain(getAdapter("copilot"), defaultRules()).trimEnd();
   const expected = [
     "# Copilot Instructions",
     "",
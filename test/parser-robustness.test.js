@@ -77,6 +77,34 @@ test("custom command keys are preserved through normalizeRules + stringifyRules"
   assert.match(text, /test:e2e: "pnpm test:e2e"/);
 });
 
+test("tagged rule items and include_tags survive normalizeRules + stringifyRules", () => {
+  const parsed = parseRulesText(
+    [
+      "workflow:",
+      "  - Read first.",
+      "  - { text: Use pnpm., tags: [node] }",
+      "  - { text: Untagged object. }",
+      "targets:",
+      "  cursor:",
+      "    include_tags: [node]",
+      "",
+    ].join("\n"),
+  );
+
+  const normalized = normalizeRules(parsed, createDefaultRules({}));
+  assert.deepEqual(normalized.workflow, [
+    "Read first.",
+    { text: "Use pnpm.", tags: ["node"] },
+    "Untagged object.",
+  ]);
+  assert.deepEqual(normalized.targets.cursor.include_tags, ["node"]);
+
+  const text = stringifyRules(normalized);
+  assert.match(text, /workflow:\n {2}- "Read first\."\n {2}- text: "Use pnpm\."\n {4}tags: \["node"\]\n/);
+  assert.match(text, /include_tags: \["node"\]/);
+  assert.deepEqual(normalizeRules(parseRulesText(text), createDefaultRules({})), normalized);
+});
+
 test("sync respects targets even when targets block is indented with four spaces", () => {
   const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
   writeFileSync(
@@ -178,3 +206,116 @@ test("invalid command and target path values are rejected with validation errors
   assert.match(check.stderr, /"commands\.lint" must be a non-empty string/);
   assert.match(check.stderr, /"targets\.claude\.path" must be a non-empty string/);
 });
+
+test("parseRulesText handles anchors, merge keys, multi-line flow and nested maps", () => {
+  const parsed = parseRulesText(
+    [
+      "defaults: &defaults",
+      "  enabled: true",
+      '  path: "AGENTS.md"',
+      "targets:",
+      "  codex:",
+      "    <<: *defaults",
+      "  gemini:",
+      "    <<: *defaults",
+      '    path: "GEMINI.md"',
+      "plugins: [",
+      '  "./a.js",',
+      '  "./b.js",',
+      "]",
+      "metadata:",
+      "  owners:",
+      "    team: { name: platform, slack: '#agents' }",
+      '  "url: with colon": yes',
+      "",
+    ].join("\n"),
+  );
+
+  assert.deepEqual(parsed.targets.codex, { enabled: true, path: "AGENTS.md" });
+  assert.deepEqual(parsed.targets.gemini, { path: "GEMINI.md", enabled: true });
+  assert.deepEqual(parsed.plugins, ["./a.js", "./b.js"]);
+  assert.deepEqual(parsed.metadata.owners.team, { name: "platform", slack: "#agents" });
+  assert.equal(parsed.metadata["url: with colon"], "yes");
+});
+
+test("parseRulesText supports block scalars inside lists and mappings in lists", () => {
+  const parsed = parseRulesText(
+    [
+      "workflow:",
+      "  - |",
+      "    Read the code.",
+      "    Then edit it.",
+      "  - >-",
+      "    Folded",
+      "    text",
+      "  - text: Use pnpm",
+      "    tags: [node, ci]",
+      "",
+    ].join("\n"),
+  );
+
+  assert.deepEqual(parsed.workflow, [
+    "Read the code.\nThen edit it.",
+    "Folded text",
+    { text: "Use pnpm", tags: ["node", "ci"] },
+  ]);
+});
+
+test("parseYaml reports node positions and recovers after syntax errors", () => {
+  const { parseYaml, toValue } = require("../src/yaml.js");
+  const document = parseYaml(
+    ["version: 2", "commands:", "  lint: 'pnpm lint'", "  test: [oops", "mission: ok", ""].join("\n"),
+  );
+
+  const commands = document.root.items[1].value;
+  assert.equal(commands.line, 3);
+  assert.equal(commands.items[0].value.line, 3);
+  assert.equal(commands.items[0].value.column, 9);
+  assert.equal(document.errors.length, 1);
+  assert.match(document.errors[0].message, /Unterminated flow sequence/);
+  assert.equal(document.errors[0].line, 4);
+  assert.equal(document.errors[0].column, 9);
+  assert.deepEqual(toValue(document.root), {
+    version: 2,
+    commands: { lint: "pnpm lint" },
+    mission: "ok",
+  });
+});
+
+test("YAML syntax errors are reported as validation errors", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(join(dir, "package.json"), '{"name":"demo","private":true}\n', "utf8");
+  assert.equal(run(["init"], dir).exitCode, 0);
+
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const current = readFileSync(rulesPath, "utf8");
+  writeFileSync(rulesPath, current.replace("workflow:", "workflow:\n  oops: [\n"), "utf8");
+
+  const check = run(["check"], dir);
+  assert.equal(check.exitCode, 1);
+  assert.match(check.stderr, /rules\.yaml:\d+:\d+: error RD001: YAML syntax error:/);
+});
+
+test("validation diagnostics carry file, line, column, code and a caret excerpt", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(join(dir, "package.json"), '{"name":"demo","private":true}\n', "utf8");
+  assert.equal(run(["init"], dir).exitCode, 0);
+
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const current = readFileSync(rulesPath, "utf8");
+  writeFileSync(rulesPath, current.replace('lint: "echo \\"TODO: define lint command\\""', "lint: 42"), "utf8");
+
+  const lineNumber = current.split("\n").findIndex((line) => line.startsWith("  lint:")) + 1;
+  const check = run(["check"], dir);
+  assert.equal(check.exitCode, 1);
+  assert.ok(
+    check.stderr.includes(
+      [
+        `.agentrules/rules.yaml:${lineNumber}:9: error RD107: "commands.lint" must be a non-empty string.`,
+        `  ${lineNumber} |   lint: 42`,
+        `    |         ^`,
+      ].join("\n"),
+    ),
+    check.stderr,
+  );
+});
@@ -8,10 +8,12 @@ const {
   mkdirSync,
   symlinkSync,
 } = require("node:fs");
+const { spawnSync } = require("node:child_process");
 const { tmpdir } = require("node:os");
 const { join } = require("node:path");
 const { runCli } = require("../src/index.js");
 
+// verify-commands resolves asynchronously; its result is a promise to await.
 function run(args, cwd) {
   const out = [];
   const err = [];
@@ -20,11 +22,21 @@ function run(args, cwd) {
     stdout: (line) => out.push(line),
     stderr: (line) => err.push(line),
   });
-  return {
-    exitCode,
+  const result = (code) => ({
+    exitCode: code,
     stdout: out.join("\n"),
     stderr: err.join("\n"),
-  };
+  });
+  return typeof exitCode === "number" ? result(exitCode) : exitCode.then(result);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
 }
 
 function countMatches(text, pattern) {
@@ -435,3 +447,1552 @@ test("running in subdirectory still writes to project root", () => {
   assert.ok(existsSync(join(root, ".cursor", "rules", "rules-doctor.mdc")));
   assert.ok(!existsSync(join(subdir, ".agentrules", "rules.yaml")));
 });
+
+test("plugins from rules.yaml participate in sync, check and --target", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(
+    join(dir, "package.json"),
+    JSON.stringify({ name: "demo", private: true, scripts: { lint: "echo lint" } }) + "\n",
+    "utf8",
+  );
+  mkdirSync(join(dir, "tools"), { recursive: true });
+  writeFileSync(
+    join(dir, "tools", "acme-adapter.js"),
+    [
+      "module.exports = {",
+      '  id: "acme",',
+      '  defaultPath: "docs/ACME.md",',
+      '  management: "marker",',
+      '  markerBegin: "<!-- ACME:BEGIN -->",',
+      '  markerEnd: "<!-- ACME:END -->",',
+      "  render(rules) {",
+      '    return `## Acme\\n${rules.mission}\\n`;',
+      "  },",
+      "};",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  assert.equal(run(["init"], dir).exitCode, 0);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rules = readFileSync(rulesPath, "utf8");
+  writeFileSync(rulesPath, rules.replace("targets:", 'plugins:\n  - "./tools/acme-adapter.js"\ntargets:'), "utf8");
+
+  const before = run(["check", "--target", "acme"], dir);
+  assert.equal(before.exitCode, 1);
+  assert.match(before.stdout, /acme: drift detected \(docs\/ACME\.md\)/);
+
+  assert.equal(run(["sync", "--target", "acme", "--write"], dir).exitCode, 0);
+  const acme = readFileSync(join(dir, "docs", "ACME.md"), "utf8");
+  assert.match(acme, /<!-- ACME:BEGIN -->\n## Acme\nShip safe changes/);
+
+  const all = run(["check"], dir);
+  assert.match(all.stdout, /selected targets: .*acme/);
+  assert.match(all.stdout, /acme: in sync/);
+});
+
+test("invalid plugin adapters are rejected on load", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(join(dir, "package.json"), '{"name":"demo","private":true}\n');
+  writeFileSync(
+    join(dir, "broken-adapter.js"),
+    'module.exports = { id: "broken", management: "sometimes" };\n',
+    "utf8",
+  );
+
+  assert.equal(run(["init"], dir).exitCode, 0);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rules = readFileSync(rulesPath, "utf8");
+  writeFileSync(rulesPath, rules.replace("targets:", 'plugins: ["./broken-adapter.js"]\ntargets:'), "utf8");
+
+  const check = run(["check"], dir);
+  assert.equal(check.exitCode, 1);
+  assert.match(check.stderr, /Adapter from plugin "\.\/broken-adapter\.js" "broken" is invalid/);
+  assert.match(check.stderr, /"defaultPath" must be a non-empty string/);
+  assert.match(check.stderr, /"render" must be a function/);
+
+  writeFileSync(rulesPath, rules.replace("targets:", 'plugins: ["./missing.js"]\ntargets:'), "utf8");
+  assert.match(run(["check"], dir).stderr, /Cannot find plugin "\.\/missing\.js"/);
+});
+
+test("template targets render declarative outputs from rules.yaml", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(join(dir, "package.json"), '{"name":"demo","private":true}\n');
+  mkdirSync(join(dir, ".agentrules", "templates"), { recursive: true });
+  writeFileSync(
+    join(dir, ".agentrules", "templates", "inhouse.tmpl"),
+    ["# In-house Agent", "", "{{mission}}", "", "{{#each workflow}}", "* {{this}}", "{{/each}}"].join(
+      "\n",
+    ) + "\n",
+    "utf8",
+  );
+  writeFileSync(join(dir, "NOTES.md"), "Team notes.\n", "utf8");
+
+  assert.equal(run(["init"], dir).exitCode, 0);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rules = readFileSync(rulesPath, "utf8");
+  writeFileSync(
+    rulesPath,
+    rules +
+      [
+        "  inhouse:",
+        '    path: "docs/INHOUSE.md"',
+        '    template: ".agentrules/templates/inhouse.tmpl"',
+        "  notes:",
+        '    path: "NOTES.md"',
+        '    template: ".agentrules/templates/inhouse.tmpl"',
+        '    management: "marker"',
+        '    marker_begin: "<!-- NOTES:BEGIN -->"',
+        '    marker_end: "<!-- NOTES:END -->"',
+        "",
+      ].join("\n"),
+    "utf8",
+  );
+
+  const sync = run(["sync", "--target", "inhouse,notes", "--write"], dir);
+  assert.equal(sync.exitCode, 0, sync.stderr);
+  assert.equal(
+    readFileSync(join(dir, "docs", "INHOUSE.md"), "utf8"),
+    [
+      "# In-house Agent",
+      "",
+      "Ship safe changes quickly while keeping agent instructions consistent.",
+      "",
+      "* Read relevant files before editing.",
+      "* Make the smallest correct change.",
+      "* Run verification commands before finalizing.",
+      "",
+    ].join("\n"),
+  );
+  const notes = readFileSync(join(dir, "NOTES.md"), "utf8");
+  assert.match(notes, /^Team notes\.\n\n<!-- NOTES:BEGIN -->\n# In-house Agent/);
+  assert.match(notes, /<!-- NOTES:END -->\n$/);
+  assert.equal(run(["check", "--target", "inhouse,notes"], dir).exitCode, 0);
+});
+
+test("schema command prints the published JSON Schema", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  const result = run(["schema", "--version", "2"], dir);
+  assert.equal(result.exitCode, 0);
+
+  const schema = JSON.parse(result.stdout);
+  assert.equal(schema.type, "object");
+  assert.equal(schema.properties.commands.additionalProperties.type, "string");
+  assert.deepEqual(schema.properties.targets.additionalProperties.anyOf[1].properties.management.enum, [
+    "full",
+    "marker",
+  ]);
+
+  const published = readFileSync(join(__dirname, "..", "docs", "schema", "rules-v2.schema.json"), "utf8");
+  assert.equal(`${result.stdout}\n`, published, "Regenerate docs/schema with `rules-doctor schema`.");
+
+  const unknown = run(["schema", "--version", "99"], dir);
+  assert.equal(unknown.exitCode, 1);
+  assert.match(unknown.stderr, /Unknown rules\.yaml schema version: 99/);
+});
+
+test("migrate upgrades outdated rules.yaml and refuses future versions", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"), { recursive: true });
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const original = [
+    "# Team rules",
+    "version: 1",
+    'mission: "Keep the migration small."',
+    "targets:",
+    "  claude: docs/CLAUDE.md",
+    "",
+  ].join("\n");
+  writeFileSync(rulesPath, original, "utf8");
+
+  const check = run(["check", "--target", "claude"], dir);
+  assert.match(check.stdout, /warning RD124: rules\.yaml is on version 1; run "rules-doctor migrate --write"/);
+
+  const dryRun = run(["migrate"], dir);
+  assert.equal(dryRun.exitCode, 0, dryRun.stderr);
+  assert.match(dryRun.stdout, /version: 1 -> 2/);
+  assert.match(dryRun.stdout, /step 1 -> 2:/);
+  assert.match(dryRun.stdout, /-version: 1\n\+version: 2/);
+  assert.equal(readFileSync(rulesPath, "utf8"), original);
+
+  const write = run(["migrate", "--write"], dir);
+  assert.equal(write.exitCode, 0, write.stderr);
+  const migrated = readFileSync(rulesPath, "utf8");
+  assert.match(migrated, /^# Team rules\nversion: 2\nmission: "Keep the migration small\."\n/);
+  assert.equal(migrated, original.replace("version: 1", "version: 2"));
+  assert.match(run(["migrate"], dir).stdout, /already on version 2/);
+  assert.doesNotMatch(run(["check", "--target", "claude"], dir).stdout, /RD124/);
+
+  writeFileSync(rulesPath, migrated.replace("version: 2", "version: 3"), "utf8");
+  const future = run(["migrate"], dir);
+  assert.equal(future.exitCode, 1);
+  assert.match(future.stderr, /version 3 is newer than this rules-doctor supports \(2\)/);
+  const futureCheck = run(["check"], dir);
+  assert.equal(futureCheck.exitCode, 1);
+  assert.match(futureCheck.stderr, /error RD123:/);
+});
+
+test("per-target override and extra blocks change only that target", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"), { recursive: true });
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(
+    rulesPath,
+    [
+      "version: 2",
+      'mission: "Shared mission."',
+      "workflow:",
+      '  - "Read first."',
+      '  - "Run the full e2e suite."',
+      "commands:",
+      '  lint: "npm run lint"',
+      '  test: "npm test"',
+      '  build: "npm run build"',
+      "targets:",
+      "  claude:",
+      '    path: "CLAUDE.md"',
+      "  copilot:",
+      '    path: ".github/copilot-instructions.md"',
+      "    override:",
+      '      mission: "Suggest small, reviewable edits."',
+      "      exclude:",
+      '        workflow: ["Run the full e2e suite."]',
+      '        commands: ["lint"]',
+      "    extra:",
+      "      commands:",
+      '        typecheck: "npm run typecheck"',
+      "      approvals:",
+      '        notes: ["Never suggest committing secrets."]',
+      "      sections:",
+      '        - title: "Copilot Chat"',
+      '          body: ["Prefer /explain for unfamiliar code."]',
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  const sync = run(["sync", "--target", "claude,copilot", "--write"], dir);
+  assert.equal(sync.exitCode, 0, sync.stderr);
+
+  const copilot = readFileSync(join(dir, ".github", "copilot-instructions.md"), "utf8");
+  assert.match(copilot, /### Mission\nSuggest small, reviewable edits\./);
+  assert.match(copilot, /### Workflow\n- Read first\.\n\n/);
+  assert.match(
+    copilot,
+    /### Commands\n- test: `npm test`\n- build: `npm run build`\n- typecheck: `npm run typecheck`\n/,
+  );
+  assert.match(copilot, /- Never suggest committing secrets\.\n/);
+  assert.match(copilot, /### Copilot Chat\n- Prefer \/explain for unfamiliar code\.\n/);
+
+  const claude = readFileSync(join(dir, "CLAUDE.md"), "utf8");
+  assert.match(claude, /## Mission\nShared mission\./);
+  assert.match(claude, /- Run the full e2e suite\./);
+  assert.match(claude, /- lint: `npm run lint`/);
+  assert.doesNotMatch(claude, /typecheck|Copilot Chat/);
+
+  const rules = readFileSync(rulesPath, "utf8");
+  writeFileSync(rulesPath, rules.replace("      exclude:", "      exlude:"), "utf8");
+  const invalid = run(["check", "--target", "copilot"], dir);
+  assert.equal(invalid.exitCode, 1);
+  assert.match(
+    invalid.stderr,
+    /rules\.yaml:17:7: error RD125: "targets\.copilot\.override\.exlude" is not a supported key\./,
+  );
+});
+
+test("tagged rule items render only for targets that include their tags", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"), { recursive: true });
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(
+    rulesPath,
+    [
+      "version: 2",
+      "workflow:",
+      '  - "Read first."',
+      '  - text: "Use pnpm, never npm."',
+      "    tags: [node, ci]",
+      '  - text: "Check the storybook."',
+      "    tags: [frontend]",
+      "done:",
+      '  - text: "Screenshots attached."',
+      "    tags: [frontend]",
+      "targets:",
+      "  claude:",
+      '    path: "CLAUDE.md"',
+      "  cursor:",
+      '    path: ".cursor/rules/rules-doctor.mdc"',
+      "    include_tags: [frontend]",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  const sync = run(["sync", "--target", "claude,cursor", "--write"], dir);
+  assert.equal(sync.exitCode, 0, sync.stderr);
+
+  const claude = readFileSync(join(dir, "CLAUDE.md"), "utf8");
+  assert.match(
+    claude,
+    /## Workflow\n- Read first\.\n- Use pnpm, never npm\.\n- Check the storybook\.\n\n/,
+  );
+  const cursor = readFileSync(join(dir, ".cursor", "rules", "rules-doctor.mdc"), "utf8");
+  assert.match(cursor, /### Workflow\n- Read first\.\n- Check the storybook\.\n\n/);
+  assert.match(cursor, /### Done\n- Screenshots attached\.\n\n/);
+
+  writeFileSync(
+    rulesPath,
+    readFileSync(rulesPath, "utf8").replace("include_tags: [frontend]", "include_tags: [fronted]"),
+    "utf8",
+  );
+  const check = run(["check", "--target", "cursor"], dir);
+  assert.match(
+    check.stdout,
+    /rules\.yaml:16:20: warning RD129: "targets\.cursor\.include_tags" lists "fronted", which no rule item is tagged with\./,
+  );
+});
+
+test("custom sections are imported, stored in rules.yaml and rendered by every adapter", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(
+    join(dir, "CLAUDE.md"),
+    [
+      "# CLAUDE.md",
+      "",
+      "## Mission",
+      "Keep the API stable.",
+      "",
+      "## Architecture",
+      "Hexagonal: adapters live in `src/adapters`.",
+      "Core code never imports them.",
+      "",
+      "## Glossary",
+      "- Target: an output file for one agent.",
+      "- Adapter: renders a target.",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  assert.equal(run(["init", "--import"], dir).exitCode, 0);
+  const rules = readFileSync(join(dir, ".agentrules", "rules.yaml"), "utf8");
+  assert.match(
+    rules,
+    /\nsections:\n {2}- title: "Architecture"\n {4}body: \|-\n {6}Hexagonal: adapters live in `src\/adapters`\.\n {6}Core code never imports them\.\n {2}- title: "Glossary"\n {4}body:\n {6}- "Target: an output file for one agent\."\n/,
+  );
+  assert.match(
+    readFileSync(join(dir, ".agentrules", "import-report.md"), "utf8"),
+    /Imported 2 custom section\(s\): Architecture, Glossary/,
+  );
+
+  assert.equal(run(["sync", "--write"], dir).exitCode, 0);
+  const claude = readFileSync(join(dir, "CLAUDE.md"), "utf8");
+  assert.match(
+    claude,
+    /## Architecture\nHexagonal: adapters live in `src\/adapters`\.\nCore code never imports them\.\n\n## Glossary\n- Target: an output file for one agent\.\n- Adapter: renders a target\.\n$/,
+  );
+  for (const file of [
+    "AGENTS.md",
+    ".github/copilot-instructions.md",
+    "GEMINI.md",
+    ".cursor/rules/rules-doctor.mdc",
+  ]) {
+    const text = readFileSync(join(dir, file), "utf8");
+    assert.match(text, /### Architecture\nHexagonal/, file);
+    assert.match(text, /### Glossary\n- Target: an output file for one agent\./, file);
+  }
+  assert.equal(run(["check"], dir).exitCode, 0);
+});
+
+test("package rules.yaml extends the repo root and sync --recursive covers every package", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".git"));
+  mkdirSync(join(dir, ".agentrules"));
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    [
+      "version: 2",
+      'mission: "Keep the monorepo healthy."',
+      "workflow:",
+      "  - Run the workspace tests.",
+      "commands:",
+      "  test: npm test",
+      "done:",
+      "  - Tests pass.",
+      "approvals:",
+      "  mode: ask-before-destructive",
+      "targets:",
+      "  claude: CLAUDE.md",
+      "  codex: AGENTS.md",
+      "  copilot: { enabled: false, path: .github/copilot-instructions.md }",
+      "  cursor: { enabled: false, path: .cursor/rules/rules-doctor.mdc }",
+      "  gemini: { enabled: false, path: GEMINI.md }",
+      "  opencode: { enabled: false, path: AGENTS.md }",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  for (const name of ["api", "web"]) {
+    mkdirSync(join(dir, "packages", name, ".agentrules"), { recursive: true });
+  }
+  writeFileSync(
+    join(dir, "packages", "api", ".agentrules", "rules.yaml"),
+    [
+      "extends: parent",
+      'mission: "Serve the public API."',
+      "commands:",
+      "  test: npm test -w api",
+      "targets:",
+      "  claude: { enabled: false }",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  writeFileSync(
+    join(dir, "packages", "web", ".agentrules", "rules.yaml"),
+    ["extends: parent", "targets:", "  codex: { path: docs/AGENTS.md }", ""].join("\n"),
+    "utf8",
+  );
+
+  const sync = run(["sync", "--recursive", "--write"], dir);
+  assert.equal(sync.exitCode, 0, sync.stderr);
+  assert.equal(countMatches(sync.stdout, /^rules-doctor sync$/gm), 3);
+
+  const rootAgents = readFileSync(join(dir, "AGENTS.md"), "utf8");
+  assert.match(rootAgents, /Keep the monorepo healthy\./);
+  const apiAgents = readFileSync(join(dir, "packages", "api", "AGENTS.md"), "utf8");
+  assert.match(apiAgents, /Serve the public API\./);
+  assert.match(apiAgents, /npm test -w api/);
+  assert.match(apiAgents, /Run the workspace tests\./);
+  assert.equal(existsSync(join(dir, "packages", "api", "CLAUDE.md")), false);
+  assert.match(
+    readFileSync(join(dir, "packages", "web", "docs", "AGENTS.md"), "utf8"),
+    /Keep the monorepo healthy\./,
+  );
+  assert.ok(existsSync(join(dir, "packages", "web", "CLAUDE.md")));
+
+  assert.equal(run(["check", "--recursive"], dir).exitCode, 0);
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    readFileSync(join(dir, ".agentrules", "rules.yaml"), "utf8").replace(
+      "Run the workspace tests.",
+      "Run the affected tests.",
+    ),
+    "utf8",
+  );
+  const drift = run(["check", "--recursive"], dir);
+  assert.equal(drift.exitCode, 1);
+  assert.equal(countMatches(drift.stdout, /drift detected/g), 5);
+
+  writeFileSync(
+    join(dir, "packages", "web", ".agentrules", "rules.yaml"),
+    ["extends: parent", "targets:", "  codex: { enabled: maybe }", ""].join("\n"),
+    "utf8",
+  );
+  const invalid = run(["check"], join(dir, "packages", "web"));
+  assert.equal(invalid.exitCode, 1);
+  assert.match(invalid.stderr, /\.agentrules\/rules\.yaml:3:21: error RD115/);
+
+  writeFileSync(join(dir, ".agentrules", "rules.yaml"), "extends: parent\n", "utf8");
+  assert.match(
+    run(["check"], dir).stderr,
+    /has "extends: parent" but no parent \.agentrules\/rules\.yaml was found/,
+  );
+});
+
+test("extends merges shared files and npm packages and explain reports each value's layer", () => {
+  const workspace = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  const dir = join(workspace, "service");
+  mkdirSync(join(workspace, "shared"));
+  mkdirSync(join(dir, ".agentrules"), { recursive: true });
+  mkdirSync(join(dir, "node_modules", "@acme", "agent-rules"), { recursive: true });
+  writeFileSync(
+    join(dir, "node_modules", "@acme", "agent-rules", "package.json"),
+    JSON.stringify({ name: "@acme/agent-rules", version: "1.0.0" }),
+    "utf8",
+  );
+  writeFileSync(
+    join(dir, "node_modules", "@acme", "agent-rules", "rules.yaml"),
+    [
+      "version: 2",
+      'mission: "Org baseline mission."',
+      "workflow:",
+      "  - Read the issue first.",
+      "approvals:",
+      "  mode: ask-before-destructive",
+      "  notes:",
+      "    - Never push to main.",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  writeFileSync(
+    join(workspace, "shared", "rules.yaml"),
+    ["commands:", "  lint: npm run lint", "  test: npm test", ""].join("\n"),
+    "utf8",
+  );
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    [
+      "version: 2",
+      "extends:",
+      '  - "@acme/agent-rules"',
+      "  - ../shared/rules.yaml",
+      'mission: "Run the billing service."',
+      "commands:",
+      "  test: npm run test:unit",
+      "done:",
+      "  - Tests pass.",
+      "targets:",
+      "  claude: CLAUDE.md",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  assert.equal(run(["sync", "--write", "--target", "claude"], dir).exitCode, 0);
+  const claude = readFileSync(join(dir, "CLAUDE.md"), "utf8");
+  assert.match(claude, /Run the billing service\./);
+  assert.match(claude, /Read the issue first\./);
+  assert.match(claude, /Never push to main\./);
+  assert.match(claude, /npm run lint/);
+  assert.match(claude, /npm run test:unit/);
+
+  const explain = run(["explain", "commands"], dir);
+  assert.equal(explain.exitCode, 0, explain.stderr);
+  assert.match(
+    explain.stdout,
+    /- layers: node_modules\/@acme\/agent-rules\/rules\.yaml -> \.\.\/shared\/rules\.yaml -> \.agentrules\/rules\.yaml/,
+  );
+  assert.match(explain.stdout, /- commands\.lint = "npm run lint" \(\.\.\/shared\/rules\.yaml:2\)/);
+  assert.match(
+    explain.stdout,
+    /- commands\.test = "npm run test:unit" \(\.agentrules\/rules\.yaml:7\)/,
+  );
+  assert.match(
+    run(["explain", "approvals.notes.0"], dir).stdout,
+    /- approvals\.notes = \["Never push to main\."\] \(node_modules\/@acme\/agent-rules\/rules\.yaml:7\)/,
+  );
+  assert.match(run(["explain", "plugins"], dir).stderr, /"plugins" is not set/);
+
+  writeFileSync(
+    join(workspace, "shared", "rules.yaml"),
+    ["extends: ../service/.agentrules/rules.yaml", ""].join("\n"),
+    "utf8",
+  );
+  assert.match(
+    run(["check"], dir).stderr,
+    /extends cycle: \.agentrules\/rules\.yaml -> \.\.\/shared\/rules\.yaml -> \.agentrules\/rules\.yaml/,
+  );
+
+  writeFileSync(join(workspace, "shared", "rules.yaml"), "mission: Shared.\n", "utf8");
+  const rules = readFileSync(join(dir, ".agentrules", "rules.yaml"), "utf8");
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    rules.replace('"@acme/agent-rules"', '"@acme/missing-rules"'),
+    "utf8",
+  );
+  assert.match(run(["check"], dir).stderr, /Cannot resolve "@acme\/missing-rules"/);
+});
+
+test("cursor renders one .mdc file per scope and removes files for deleted scopes", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  mkdirSync(join(dir, ".cursor", "rules"), { recursive: true });
+  writeFileSync(join(dir, ".cursor", "rules", "team.mdc"), "---\nalwaysApply: true\n---\nMine.\n");
+  const rules = [
+    "version: 2",
+    'mission: "Ship safely."',
+    "targets:",
+    "  cursor: .cursor/rules/rules-doctor.mdc",
+    "scopes:",
+    "  - name: tests",
+    '    globs: ["**/*.test.ts", "test/**"]',
+    "    workflow:",
+    "      - Use the shared fixtures.",
+    "    done:",
+    "      - No skipped tests.",
+    "  - name: migrations",
+    "    description: Writing database migrations",
+    "    notes:",
+    "      - Migrations must be reversible.",
+    "",
+  ].join("\n");
+  writeFileSync(join(dir, ".agentrules", "rules.yaml"), rules, "utf8");
+
+  const dryRun = run(["sync", "--target", "cursor"], dir);
+  assert.match(
+    dryRun.stdout,
+    /- cursor: would update \(\.cursor\/rules\/rules-doctor-tests\.mdc\)/,
+  );
+  assert.equal(run(["sync", "--write", "--target", "cursor"], dir).exitCode, 0);
+
+  const tests = readFileSync(join(dir, ".cursor", "rules", "rules-doctor-tests.mdc"), "utf8");
+  assert.equal(
+    tests,
+    [
+      "---",
+      "description:",
+      "globs: **/*.test.ts,test/**",
+      "alwaysApply: false",
+      "---",
+      "",
+      "<!-- rules-doctor:scope tests -->",
+      "## rules-doctor Scoped Rules: tests",
+      "Generated from `.agentrules/rules.yaml`. Edit that file, then run `rules-doctor sync`.",
+      "",
+      "### Workflow",
+      "- Use the shared fixtures.",
+      "",
+      "### Done",
+      "- No skipped tests.",
+      "",
+    ].join("\n"),
+  );
+  const migrations = readFileSync(
+    join(dir, ".cursor", "rules", "rules-doctor-migrations.mdc"),
+    "utf8",
+  );
+  assert.match(
+    migrations,
+    /^---\ndescription: Writing database migrations\nglobs:\nalwaysApply: false\n---\n/,
+  );
+  assert.match(migrations, /### Notes\n- Migrations must be reversible\.\n$/);
+  assert.match(
+    readFileSync(join(dir, ".cursor", "rules", "rules-doctor.mdc"), "utf8"),
+    /alwaysApply: true/,
+  );
+  assert.equal(run(["check", "--target", "cursor"], dir).exitCode, 0);
+
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    rules.slice(0, rules.indexOf("  - name: migrations")),
+    "utf8",
+  );
+  const stale = run(["check", "--target", "cursor"], dir);
+  assert.equal(stale.exitCode, 1);
+  assert.match(
+    stale.stdout,
+    /- cursor: stale file \(\.cursor\/rules\/rules-doctor-migrations\.mdc\)/,
+  );
+  const sync = run(["sync", "--write", "--target", "cursor"], dir);
+  assert.match(sync.stdout, /removed: .*rules-doctor-migrations\.mdc/);
+  assert.equal(existsSync(join(dir, ".cursor", "rules", "rules-doctor-migrations.mdc")), false);
+  assert.ok(existsSync(join(dir, ".cursor", "rules", "rules-doctor-tests.mdc")));
+  assert.ok(existsSync(join(dir, ".cursor", "rules", "team.mdc")));
+  assert.equal(run(["check", "--target", "cursor"], dir).exitCode, 0);
+
+  // Stale files are only deleted when state.json records exactly their content.
+  const testsPath = join(dir, ".cursor", "rules", "rules-doctor-tests.mdc");
+  const copyPath = join(dir, ".cursor", "rules", "rules-doctor-copy.mdc");
+  writeFileSync(testsPath, `${tests}- Run the slow suite before merging.\n`, "utf8");
+  writeFileSync(copyPath, tests, "utf8");
+  writeFileSync(join(dir, ".agentrules", "rules.yaml"), rules.slice(0, rules.indexOf("scopes:")));
+  const refused = run(["sync", "--write", "--target", "cursor"], dir);
+  assert.equal(refused.exitCode, 1);
+  assert.match(
+    refused.stdout,
+    /- cursor: would remove stale file, edited by hand since last sync \(\.cursor\/rules\/rules-doctor-tests\.mdc\)/,
+  );
+  assert.match(
+    refused.stdout,
+    /rules-doctor-tests\.mdc belongs to a scope that no longer exists, but rules-doctor did not write its current content; refusing to remove it\./,
+  );
+  assert.match(refused.stdout, /rules-doctor-copy\.mdc belongs to a scope that no longer exists/);
+  assert.ok(existsSync(testsPath));
+  assert.ok(existsSync(copyPath));
+  assert.equal(run(["sync", "--write", "--force", "--target", "cursor"], dir).exitCode, 0);
+  assert.equal(existsSync(testsPath), false);
+  assert.equal(existsSync(copyPath), false);
+  assert.ok(existsSync(join(dir, ".cursor", "rules", "team.mdc")));
+
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    `${rules}  - name: tests\n  - name: Bad Name\n`,
+    "utf8",
+  );
+  const invalid = run(["check"], dir);
+  assert.match(
+    invalid.stderr,
+    /rules\.yaml:16:11: error RD132: Scope "tests" is defined more than once\./,
+  );
+  assert.match(invalid.stderr, /error RD132: "scopes" must be an array of scopes\./);
+});
+
+test("copilot writes path-specific instruction files for scopes next to its main file", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  mkdirSync(join(dir, ".github", "instructions"), { recursive: true });
+  writeFileSync(join(dir, ".github", "copilot-instructions.md"), "Team notes.\n", "utf8");
+  writeFileSync(
+    join(dir, ".github", "instructions", "docs.instructions.md"),
+    '---\napplyTo: "docs/**"\n---\nHand-written.\n',
+    "utf8",
+  );
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    [
+      "version: 2",
+      'mission: "Ship safely."',
+      "targets:",
+      "  copilot: .github/copilot-instructions.md",
+      "scopes:",
+      "  - name: tests",
+      '    globs: ["**/*.test.ts", "test/**"]',
+      "    workflow:",
+      "      - Use the shared fixtures.",
+      "  - name: api",
+      "    description: HTTP handlers",
+      '    globs: ["src/api/**"]',
+      "    notes: [Validate every request body.]",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  const sync = run(["sync", "--write", "--target", "copilot"], dir);
+  assert.equal(sync.exitCode, 0, sync.stderr);
+  const main = readFileSync(join(dir, ".github", "copilot-instructions.md"), "utf8");
+  assert.match(main, /^Team notes\.\n/);
+  assert.match(main, /RULES_DOCTOR:COPILOT:BEGIN/);
+  assert.match(
+    readFileSync(join(dir, ".github", "instructions", "tests.instructions.md"), "utf8"),
+    /^---\napplyTo: "\*\*\/\*\.test\.ts,test\/\*\*"\n---\n\n<!-- rules-doctor:scope tests -->\n/,
+  );
+  const api = readFileSync(join(dir, ".github", "instructions", "api.instructions.md"), "utf8");
+  assert.match(api, /^---\ndescription: "HTTP handlers"\napplyTo: "src\/api\/\*\*"\n---\n/);
+  assert.match(api, /### Notes\n- Validate every request body\.\n$/);
+  assert.equal(run(["check", "--target", "copilot"], dir).exitCode, 0);
+
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    [
+      "version: 2",
+      'mission: "Ship safely."',
+      "targets:",
+      "  copilot: .github/copilot-instructions.md",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  assert.equal(run(["sync", "--write", "--target", "copilot"], dir).exitCode, 0);
+  assert.equal(existsSync(join(dir, ".github", "instructions", "tests.instructions.md")), false);
+  assert.equal(existsSync(join(dir, ".github", "instructions", "api.instructions.md")), false);
+  assert.ok(existsSync(join(dir, ".github", "instructions", "docs.instructions.md")));
+});
+
+test("adapters can render several outputs with their own management", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(join(dir, "package.json"), '{"name":"demo","private":true}\n');
+  mkdirSync(join(dir, "docs"));
+  writeFileSync(join(dir, "docs", "NOTES.md"), "# Notes\n\nKept by hand.\n", "utf8");
+  writeFileSync(
+    join(dir, "multi-adapter.js"),
+    [
+      "module.exports = {",
+      '  id: "multi",',
+      '  defaultPath: "MULTI.md",',
+      '  management: "full",',
+      "  render(rules, context) {",
+      "    return [",
+      "      { content: `# Multi\\n${rules.mission}` },",
+      "      {",
+      '        path: "docs/NOTES.md",',
+      '        management: "marker",',
+      '        markerBegin: "<!-- MULTI:BEGIN -->",',
+      '        markerEnd: "<!-- MULTI:END -->",',
+      "        content: `Written for ${context.path}`,",
+      "      },",
+      "    ];",
+      "  },",
+      "};",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+
+  assert.equal(run(["init"], dir).exitCode, 0);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rules = readFileSync(rulesPath, "utf8");
+  writeFileSync(rulesPath, rules.replace("targets:", 'plugins: ["./multi-adapter.js"]\ntargets:'));
+
+  const check = run(["check", "--target", "multi", "--diff"], dir);
+  assert.equal(check.exitCode, 1);
+  assert.match(check.stdout, /- multi: drift detected \(MULTI\.md\)/);
+  assert.match(check.stdout, /- multi: drift detected \(docs\/NOTES\.md\)/);
+  assert.match(check.stdout, /# diff: multi \(docs\/NOTES\.md\)/);
+
+  assert.equal(run(["sync", "--target", "multi", "--write"], dir).exitCode, 0);
+  assert.match(readFileSync(join(dir, "MULTI.md"), "utf8"), /^# Multi\nShip safe changes/);
+  assert.equal(
+    readFileSync(join(dir, "docs", "NOTES.md"), "utf8"),
+    "# Notes\n\nKept by hand.\n\n<!-- MULTI:BEGIN -->\nWritten for MULTI.md\n<!-- MULTI:END -->\n",
+  );
+  assert.equal(run(["check", "--target", "multi"], dir).exitCode, 0);
+
+  writeFileSync(
+    rulesPath,
+    rules.replace("targets:", 'plugins: ["./multi-adapter.js"]\ntargets:\n  multi: CLAUDE.md'),
+  );
+  const conflict = run(["sync", "--write"], dir);
+  assert.equal(conflict.exitCode, 1);
+  assert.match(
+    conflict.stdout,
+    /Conflicting outputs map to the same file: claude, multi -> CLAUDE\.md/,
+  );
+});
+
+test("sync --prune removes outputs of disabled or moved targets unless edited by hand", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  mkdirSync(join(dir, ".github"));
+  writeFileSync(join(dir, ".github", "copilot-instructions.md"), "# Team\n\nHand-written.\n");
+  const rules = [
+    "version: 2",
+    'mission: "Ship safely."',
+    "targets:",
+    "  claude: { enabled: false, path: CLAUDE.md }",
+    "  codex: { enabled: false, path: AGENTS.md }",
+    "  opencode: { enabled: false, path: AGENTS.md }",
+    "  cursor: { enabled: false, path: .cursor/rules/rules-doctor.mdc }",
+    "  gemini: GEMINI.md",
+    "  copilot: .github/copilot-instructions.md",
+    "",
+  ].join("\n");
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(rulesPath, rules, "utf8");
+
+  const first = run(["sync", "--write"], dir);
+  assert.equal(first.exitCode, 0, first.stderr);
+  assert.match(first.stdout, /manifest: \.agentrules\/state\.json/);
+  const state = JSON.parse(readFileSync(join(dir, ".agentrules", "state.json"), "utf8"));
+  assert.deepEqual(Object.keys(state.outputs), [".github/copilot-instructions.md", "GEMINI.md"]);
+  assert.deepEqual(state.outputs["GEMINI.md"].targets, ["gemini"]);
+  assert.match(state.outputs["GEMINI.md"].hash, /^sha256:[0-9a-f]{64}$/);
+  assert.equal(state.outputs[".github/copilot-instructions.md"].management, "marker");
+
+  writeFileSync(
+    rulesPath,
+    rules
+      .replace("  gemini: GEMINI.md", "  gemini: docs/GEMINI.md")
+      .replace("  copilot: .github/copilot-instructions.md", "  copilot: { enabled: false }"),
+    "utf8",
+  );
+  const plain = run(["sync", "--write"], dir);
+  assert.match(
+    plain.stdout,
+    /- gemini: orphaned \(GEMINI\.md\); run "rules-doctor sync --prune" to remove it/,
+  );
+  assert.ok(existsSync(join(dir, "GEMINI.md")));
+  assert.ok(existsSync(join(dir, "docs", "GEMINI.md")));
+
+  const preview = run(["sync", "--prune"], dir);
+  assert.match(preview.stdout, /- gemini: would prune \(GEMINI\.md\)/);
+  assert.match(
+    preview.stdout,
+    /- copilot: would remove managed block \(\.github\/copilot-instructions\.md\)/,
+  );
+  assert.ok(existsSync(join(dir, "GEMINI.md")));
+
+  const generated = readFileSync(join(dir, "GEMINI.md"), "utf8");
+  writeFileSync(join(dir, "GEMINI.md"), "# Edited\n", "utf8");
+  const refused = run(["sync", "--prune", "--write"], dir);
+  assert.equal(refused.exitCode, 1);
+  assert.match(refused.stdout, /- gemini: orphaned, edited by hand \(GEMINI\.md\)/);
+  assert.match(
+    refused.stdout,
+    /GEMINI\.md was edited after rules-doctor generated it; refusing to prune\./,
+  );
+  assert.ok(existsSync(join(dir, "GEMINI.md")));
+
+  writeFileSync(join(dir, "GEMINI.md"), generated, "utf8");
+  const pruned = run(["sync", "--prune", "--write"], dir);
+  assert.equal(pruned.exitCode, 0, pruned.stdout);
+  assert.match(pruned.stdout, /pruned: .*GEMINI\.md/);
+  assert.equal(existsSync(join(dir, "GEMINI.md")), false);
+  assert.equal(
+    readFileSync(join(dir, ".github", "copilot-instructions.md"), "utf8"),
+    "# Team\n\nHand-written.\n",
+  );
+  const after = JSON.parse(readFileSync(join(dir, ".agentrules", "state.json"), "utf8"));
+  assert.deepEqual(Object.keys(after.outputs), ["docs/GEMINI.md"]);
+  assert.doesNotMatch(run(["sync"], dir).stdout, /orphaned/);
+});
+
+test("sync refuses to overwrite hand-edited files and adopt copies the edits into rules.yaml", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(
+    rulesPath,
+    [
+      "# team rules",
+      "version: 2",
+      'mission: "Ship safely."',
+      "workflow:",
+      "  - text: Read the issue.",
+      "    tags: [backend]",
+      "commands:",
+      "  test: npm test",
+      "  test:e2e: npm run test:e2e",
+      "done:",
+      "  - Tests pass.",
+      "approvals:",
+      "  mode: ask-before-destructive",
+      "  notes: []",
+      "targets:",
+      "  claude: CLAUDE.md",
+      "  gemini: { enabled: false }",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  assert.equal(run(["sync", "--write", "--target", "claude"], dir).exitCode, 0);
+
+  const claudePath = join(dir, "CLAUDE.md");
+  const generated = readFileSync(claudePath, "utf8");
+  writeFileSync(
+    claudePath,
+    generated
+      .replace("Ship safely.", "Ship safely and quickly.")
+      .replace("- Read the issue.\n", "- Read the issue.\n- Write a failing test first.\n")
+      .concat("\n## Security\n- Never log tokens.\n"),
+    "utf8",
+  );
+
+  assert.match(
+    run(["check", "--target", "claude"], dir).stdout,
+    /- claude: drift detected, edited by hand \(CLAUDE\.md\)/,
+  );
+  const refused = run(["sync", "--write", "--target", "claude"], dir);
+  assert.equal(refused.exitCode, 1);
+  assert.match(refused.stdout, /- claude: would update, edited by hand since last sync/);
+  assert.match(
+    refused.stdout,
+    /CLAUDE\.md was edited by hand since rules-doctor wrote it\. Run "rules-doctor adopt claude"/,
+  );
+  assert.match(readFileSync(claudePath, "utf8"), /Never log tokens/);
+
+  const preview = run(["adopt", "claude"], dir);
+  assert.equal(preview.exitCode, 0, preview.stderr);
+  assert.match(preview.stdout, /- changed keys: mission, workflow, sections/);
+  assert.match(preview.stdout, /\+mission: "Ship safely and quickly\."/);
+
+  assert.equal(run(["adopt", "claude", "--write"], dir).exitCode, 0);
+  const rules = readFileSync(rulesPath, "utf8");
+  assert.match(rules, /^# team rules\n/);
+  assert.match(rules, /mission: "Ship safely and quickly\."/);
+  assert.match(
+    rules,
+    /workflow:\n {2}- text: Read the issue\.\n {4}tags: \[backend\]\n {2}- "Write a failing test first\."\n/,
+  );
+  assert.match(rules, /sections:\n {2}- title: "Security"\n {4}body:\n {6}- "Never log tokens\."/);
+  assert.match(rules, /commands:\n {2}test: npm test\n {2}test:e2e: npm run test:e2e\n/);
+
+  assert.equal(run(["sync", "--write", "--target", "claude"], dir).exitCode, 0);
+  const claude = readFileSync(claudePath, "utf8");
+  assert.match(claude, /## Mission\nShip safely and quickly\./);
+  assert.match(claude, /- Write a failing test first\./);
+  assert.match(claude, /## Security\n- Never log tokens\.\n$/);
+  assert.equal(run(["check", "--target", "claude"], dir).exitCode, 0);
+
+  writeFileSync(claudePath, "# Scratch\n", "utf8");
+  assert.equal(run(["sync", "--write", "--target", "claude"], dir).exitCode, 1);
+  assert.equal(run(["sync", "--write", "--force", "--target", "claude"], dir).exitCode, 0);
+  assert.equal(readFileSync(claudePath, "utf8"), claude);
+
+  assert.match(run(["adopt", "gemini"], dir).stderr, /Target "gemini" is disabled\./);
+});
+
+test("pull copies edits in a marker block back into rules.yaml", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(
+    rulesPath,
+    [
+      "version: 2",
+      'mission: "Ship safely."',
+      "workflow:",
+      "  - Read the issue.",
+      "  - Run the tests.",
+      "commands: # project commands",
+      "  test: npm test",
+      "targets:",
+      "  codex: AGENTS.md",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  assert.equal(run(["sync", "--write", "--target", "codex"], dir).exitCode, 0);
+
+  const agentsPath = join(dir, "AGENTS.md");
+  writeFileSync(
+    agentsPath,
+    readFileSync(agentsPath, "utf8")
+      .replace("- Read the issue.\n", "")
+      .replace("- Run the tests.\n", "- Run the tests.\n- Update the changelog.\n")
+      .replace("- test: `npm test`", "- test: `npm test -- --watch=false`\n- typecheck: `tsc --noEmit`"),
+    "utf8",
+  );
+
+  const preview = run(["pull", "--target", "codex"], dir);
+  assert.equal(preview.exitCode, 0, preview.stderr);
+  assert.match(preview.stdout, /- changed keys: workflow, commands/);
+  assert.match(preview.stdout, / {2}- workflow: "Read the issue\."\n {2}\+ workflow: "Update the changelog\."/);
+  assert.match(preview.stdout, /~ commands\.test: "npm test" -> "npm test -- --watch=false"/);
+  assert.match(preview.stdout, /\+ commands\.typecheck: "tsc --noEmit"/);
+  assert.match(preview.stdout, /Dry-run complete/);
+
+  assert.equal(run(["pull", "--target", "codex", "--write"], dir).exitCode, 0);
+  const rules = readFileSync(rulesPath, "utf8");
+  assert.match(rules, /workflow:\n {2}- Run the tests\.\n {2}- "?Update the changelog\."?\n/);
+  assert.match(
+    rules,
+    /commands: # project commands\n {2}test: "?npm test -- --watch=false"?\n {2}typecheck: "tsc --noEmit"\ntargets:/,
+  );
+  assert.equal(run(["sync", "--write", "--target", "codex"], dir).exitCode, 0);
+  assert.match(readFileSync(agentsPath, "utf8"), /- typecheck: `tsc --noEmit`/);
+  assert.equal(run(["check", "--target", "codex"], dir).exitCode, 0);
+
+  assert.match(run(["pull", "--target", "all"], dir).stderr, /pull reads one target at a time/);
+});
+
+test("pull on files nobody edited changes nothing, including command names with colons", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(
+    join(dir, "package.json"),
+    JSON.stringify({ scripts: { lint: "eslint .", test: "node --test", "test:e2e": "playwright" } }),
+    "utf8",
+  );
+  assert.equal(run(["init"], dir).exitCode, 0);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rules = readFileSync(rulesPath, "utf8").replace(
+    "commands:\n",
+    'commands:\n  "test:e2e": "npm run test:e2e"\n  db:migrate:up: "npm run db:migrate -- up"\n',
+  );
+  writeFileSync(rulesPath, rules, "utf8");
+  assert.equal(run(["sync", "--write"], dir).exitCode, 0);
+  assert.match(readFileSync(join(dir, "AGENTS.md"), "utf8"), /- test:e2e: `npm run test:e2e`/);
+
+  for (const target of ["claude", "codex", "copilot", "cursor", "gemini"]) {
+    const pulled = run(["pull", "--target", target], dir);
+    assert.equal(pulled.exitCode, 0, pulled.stderr);
+    assert.match(pulled.stdout, /- changed keys: \(none\)\n/, target);
+    assert.doesNotMatch(pulled.stdout, /# diff:/, target);
+  }
+  assert.equal(run(["pull", "--target", "codex", "--write"], dir).exitCode, 0);
+  assert.equal(readFileSync(rulesPath, "utf8"), rules);
+});
+
+test("sync three-way merges edits to a managed block with rules.yaml changes", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rulesText = [
+    "version: 2",
+    'mission: "Ship safely."',
+    "workflow:",
+    "  - Read the issue.",
+    "  - Run the tests.",
+    "targets:",
+    "  codex: AGENTS.md",
+    "",
+  ].join("\n");
+  writeFileSync(rulesPath, rulesText, "utf8");
+  const agentsPath = join(dir, "AGENTS.md");
+  writeFileSync(agentsPath, "# Team notes\n", "utf8");
+  assert.equal(run(["sync", "--write", "--target", "codex"], dir).exitCode, 0);
+  const state = JSON.parse(readFileSync(join(dir, ".agentrules", "state.json"), "utf8"));
+  assert.match(state.outputs["AGENTS.md"].snapshot, /### Mission\nShip safely\.\n/);
+
+  const generated = readFileSync(agentsPath, "utf8");
+  writeFileSync(
+    agentsPath,
+    generated.replace("- Run the tests.\n", "- Run the tests.\n- Ask before adding dependencies.\n"),
+    "utf8",
+  );
+  writeFileSync(rulesPath, rulesText.replace("Ship safely.", "Ship safely and often."), "utf8");
+
+  const preview = run(["sync", "--diff", "--target", "codex"], dir);
+  assert.match(
+    preview.stdout,
+    /- codex: would update, merged with edits to the managed block \(AGENTS\.md\)/,
+  );
+  assert.match(preview.stdout, /\+Ship safely and often\./);
+  assert.doesNotMatch(preview.stdout, /-- Ask before adding dependencies\./);
+
+  assert.equal(run(["sync", "--write", "--target", "codex"], dir).exitCode, 0);
+  const merged = readFileSync(agentsPath, "utf8");
+  assert.match(merged, /^# Team notes\n/);
+  assert.match(merged, /Ship safely and often\./);
+  assert.match(merged, /- Run the tests\.\n- Ask before adding dependencies\.\n/);
+  assert.match(
+    run(["check", "--target", "codex"], dir).stdout,
+    /- codex: drift detected, edited by hand \(AGENTS\.md\)/,
+  );
+  assert.match(
+    run(["sync", "--target", "codex"], dir).stdout,
+    /- codex: kept edits to the managed block; run "rules-doctor pull --target codex"/,
+  );
+
+  writeFileSync(agentsPath, merged.replace("- Run the tests.", "- Run the unit tests."), "utf8");
+  writeFileSync(rulesPath, rulesText.replace("Run the tests.", "Run all tests."), "utf8");
+  const refused = run(["sync", "--write", "--target", "codex"], dir);
+  assert.equal(refused.exitCode, 1);
+  assert.match(refused.stdout, /- codex: would update, 1 merge conflict\(s\)/);
+  assert.match(
+    refused.stdout,
+    /AGENTS\.md: 1 change\(s\) to the managed block conflict with changes to rules\.yaml\./,
+  );
+
+  assert.equal(run(["sync", "--write", "--conflict-markers", "--target", "codex"], dir).exitCode, 0);
+  const conflicted = [
+    "<<<<<<< AGENTS.md",
+    "- Run the unit tests.",
+    "- Ask before adding dependencies.",
+    "=======",
+    "- Run all tests.",
+    ">>>>>>> .agentrules/rules.yaml",
+  ].join("\n");
+  assert.ok(readFileSync(agentsPath, "utf8").includes(conflicted));
+  assert.match(
+    run(["pull", "--target", "codex"], dir).stderr,
+    /AGENTS\.md has unresolved merge conflict markers/,
+  );
+
+  assert.equal(run(["sync", "--write", "--force", "--target", "codex"], dir).exitCode, 0);
+  assert.doesNotMatch(readFileSync(agentsPath, "utf8"), /<<<<<<<|Ask before adding/);
+  assert.equal(run(["check", "--target", "codex"], dir).exitCode, 0);
+});
+
+test("sync --diff prints unified hunks that only show inserted lines", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rulesText = [
+    "version: 2",
+    'mission: "Ship safely."',
+    "workflow:",
+    "  - Read the issue.",
+    "  - Run the tests.",
+    "targets:",
+    "  claude: CLAUDE.md",
+    "",
+  ].join("\n");
+  writeFileSync(rulesPath, rulesText, "utf8");
+  const created = run(["sync", "--diff", "--target", "claude"], dir);
+  assert.match(created.stdout, /--- \/dev\/null\n\+\+\+ b\/CLAUDE\.md\n@@ -0,0 \+1,\d+ @@\n/);
+  assert.equal(run(["sync", "--write", "--target", "claude"], dir).exitCode, 0);
+
+  writeFileSync(
+    rulesPath,
+    rulesText.replace("  - Run the tests.\n", "  - Write a failing test.\n  - Run the tests.\n"),
+    "utf8",
+  );
+  const result = run(["check", "--diff", "--diff-context", "1", "--target", "claude"], dir);
+  assert.equal(result.exitCode, 1);
+  const diff = result.stdout.slice(result.stdout.indexOf("--- a/CLAUDE.md"));
+  assert.match(diff, /^--- a\/CLAUDE\.md\n\+\+\+ b\/CLAUDE\.md\n@@ -\d+,2 \+\d+,3 @@\n/);
+  assert.match(diff, /@@\n - Read the issue\.\n\+- Write a failing test\.\n - Run the tests\.\n/);
+  assert.equal(diff.split("\n").filter((line) => /^[-+](?![-+]{2})/.test(line)).length, 1);
+
+  assert.match(
+    run(["sync", "--diff-context", "many"], dir).stderr,
+    /--diff-context expects a number of lines \(sync\)/,
+  );
+});
+
+test("sync --diff prints one patch per file that git apply accepts", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  assert.equal(run(["init"], dir).exitCode, 0);
+  assert.equal(run(["sync", "--write"], dir).exitCode, 0);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(
+    rulesPath,
+    readFileSync(rulesPath, "utf8").replace(/^mission: .*$/m, 'mission: "Ship small, safe changes."'),
+    "utf8",
+  );
+
+  const preview = run(["sync", "--diff"], dir);
+  assert.equal(preview.exitCode, 0, preview.stderr);
+  assert.equal(countMatches(preview.stdout, /^--- a\/AGENTS\.md$/gm), 1);
+  assert.match(preview.stdout, /# diff: codex, opencode \(AGENTS\.md\)/);
+
+  const patch = preview.stdout.slice(preview.stdout.indexOf("\n# diff:"));
+  const applyCheck = spawnSync("git", ["apply", "--check", "-"], {
+    cwd: dir,
+    input: patch,
+    encoding: "utf8",
+  });
+  assert.equal(applyCheck.status, 0, applyCheck.stderr);
+  spawnSync("git", ["apply", "-"], { cwd: dir, input: patch, encoding: "utf8" });
+  assert.match(readFileSync(join(dir, "AGENTS.md"), "utf8"), /Ship small, safe changes\./);
+  assert.equal(run(["check"], dir).exitCode, 0);
+});
+
+test("sync and check --format json/ndjson emit versioned machine-readable reports", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  writeFileSync(
+    rulesPath,
+    [
+      "version: 2",
+      'mission: "Ship safely."',
+      "workflow:",
+      "  - Read the issue.",
+      "targets:",
+      "  codex: AGENTS.md",
+      "  claude: CLAUDE.md",
+      "  gemini: { enabled: false }",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  writeFileSync(join(dir, "AGENTS.md"), "# Notes\n", "utf8");
+
+  const synced = run(["sync", "--write", "--target", "codex", "--format", "ndjson"], dir);
+  assert.equal(synced.exitCode, 0, synced.stderr);
+  const records = synced.stdout.trim().split("\n").map((line) => JSON.parse(line));
+  assert.ok(records.every((record) => record.version === 1 && record.command === "sync"));
+  assert.ok(records.some((record) => record.type === "diagnostic" && record.code === "RD102"));
+  const target = records.find((record) => record.type === "target");
+  assert.equal(target.id, "codex");
+  assert.equal(target.status, "drift");
+  assert.equal(target.action, "update");
+  assert.equal(target.marker, "missing");
+  assert.match(target.diff, /^--- a\/AGENTS\.md\n\+\+\+ b\/AGENTS\.md\n/);
+  assert.deepEqual(records[records.length - 1].summary, { changed: 1, changedFiles: 1 });
+  assert.equal(records[records.length - 1].mode, "write");
+
+  const checked = run(["check", "--format", "json"], dir);
+  assert.equal(checked.exitCode, 1);
+  const report = JSON.parse(checked.stdout);
+  assert.equal(report.version, 1);
+  assert.equal(report.exitCode, 1);
+  const byId = Object.fromEntries(report.projects[0].targets.map((item) => [item.id, item]));
+  assert.deepEqual(
+    { status: byId.codex.status, marker: byId.codex.marker, diff: byId.codex.diff },
+    { status: "in-sync", marker: "valid", diff: null },
+  );
+  assert.equal(byId.claude.status, "drift");
+  assert.equal(byId.claude.management, "full");
+  assert.equal(byId.gemini.status, "disabled");
+
+  writeFileSync(rulesPath, "version: 2\nmission: [\n", "utf8");
+  const invalid = run(["check", "--format", "json"], dir);
+  assert.equal(invalid.exitCode, 1);
+  assert.equal(invalid.stderr, "");
+  const [project] = JSON.parse(invalid.stdout).projects;
+  assert.equal(project.error, "rules.yaml has validation errors.");
+  assert.deepEqual(
+    project.diagnostics.find((item) => item.severity === "error"),
+    {
+      file: ".agentrules/rules.yaml",
+      line: 2,
+      column: 10,
+      severity: "error",
+      code: "RD001",
+      message: "YAML syntax error: Unterminated flow sequence.",
+      path: "",
+    },
+  );
+
+  assert.match(
+    run(["check", "--format", "xml"], dir).stderr,
+    /--format expects one of text, json, ndjson/,
+  );
+});
+
+test("check --reporter emits SARIF, JUnit and GitHub annotations with file locations", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    [
+      "version: 2",
+      'mission: "Ship safely."',
+      "workflow:",
+      "  - Read the issue.",
+      "targets:",
+      "  codex: AGENTS.md",
+      "  claude: CLAUDE.md",
+      "  gemini: { enabled: false, path: GEMINI.md }",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  assert.equal(run(["sync", "--write"], dir).exitCode, 0);
+  writeFileSync(join(dir, "AGENTS.md"), "# Notes\n<!-- RULES_DOCTOR:BEGIN -->\nold\n", "utf8");
+  const claudePath = join(dir, "CLAUDE.md");
+  writeFileSync(
+    claudePath,
+    readFileSync(claudePath, "utf8").replace("Ship safely.", "Ship fast."),
+    "utf8",
+  );
+
+  const sarifRun = run(["check", "--target", "codex,claude", "--reporter", "sarif"], dir);
+  assert.equal(sarifRun.exitCode, 1);
+  const sarif = JSON.parse(sarifRun.stdout);
+  assert.equal(sarif.version, "2.1.0");
+  const results = sarif.runs[0].results.map((result) => ({
+    ruleId: result.ruleId,
+    level: result.level,
+    uri: result.locations[0].physicalLocation.artifactLocation.uri,
+    line: result.locations[0].physicalLocation.region.startLine,
+  }));
+  assert.deepEqual(
+    results.filter((result) => result.level === "error"),
+    [
+      { ruleId: "malformed-marker", level: "error", uri: "AGENTS.md", line: 2 },
+      { ruleId: "drift", level: "error", uri: "AGENTS.md", line: 2 },
+      { ruleId: "drift", level: "error", uri: "CLAUDE.md", line: 4 },
+    ],
+  );
+  assert.ok(results.some((result) => result.ruleId === "RD102" && result.level === "warning"));
+
+  const junit = run(["check", "--reporter", "junit"], dir);
+  assert.equal(junit.exitCode, 1);
+  assert.match(junit.stdout, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites /);
+  assert.match(
+    junit.stdout,
+    /<testcase classname="rules-doctor\.targets" name="claude \(CLAUDE\.md\)">\n {6}<failure type="drift"/,
+  );
+  assert.match(
+    junit.stdout,
+    /<testcase classname="rules-doctor\.targets" name="gemini \(GEMINI\.md\)">\n {6}<skipped\/>/,
+  );
+  assert.match(junit.stdout, /&lt;!-- RULES_DOCTOR:BEGIN --&gt;/);
+
+  const github = run(["check", "--target", "claude", "--reporter", "github"], dir);
+  assert.equal(github.exitCode, 1);
+  assert.match(github.stdout, /- claude: drift detected, edited by hand \(CLAUDE\.md\)/);
+  assert.match(
+    github.stdout,
+    /^::error file=CLAUDE\.md,line=4,col=1,title=rules-doctor drift::claude: CLAUDE\.md is out of sync/m,
+  );
+
+  writeFileSync(join(dir, ".agentrules", "rules.yaml"), "version: 2\nmission: [\n", "utf8");
+  const invalid = run(["check", "--reporter", "github"], dir);
+  assert.equal(invalid.exitCode, 1);
+  assert.match(
+    invalid.stdout,
+    /^::error file=\.agentrules\/rules\.yaml,line=2,col=10,title=rules-doctor RD001::YAML syntax error/m,
+  );
+  assert.match(
+    run(["check", "--reporter", "sarif", "--format", "json"], dir).stderr,
+    /--reporter cannot be combined with --format/,
+  );
+});
+
+test("doctor audits the setup and --fix repairs markers and deletes backups", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  mkdirSync(join(dir, ".agentrules"));
+  mkdirSync(join(dir, ".claude"));
+  writeFileSync(
+    join(dir, "package.json"),
+    JSON.stringify({ scripts: { test: "node --test" } }),
+    "utf8",
+  );
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    [
+      "version: 2",
+      'mission: "Ship safely."',
+      "workflow:",
+      "  - Read the issue.",
+      "commands:",
+      "  test: npm test",
+      "  lint: npm run lint && pnpm install",
+      "done:",
+      "  - Tests pass.",
+      "approvals:",
+      "  mode: ask-before-destructive",
+      "  notes: []",
+      "targets:",
+      "  codex: AGENTS.md",
+      "  claude: CLAUDE.md",
+      "  gemini: { enabled: false, path: GEMINI.md }",
+      "  copilot: { enabled: false, path: .github/copilot-instructions.md }",
+      "  cursor: { enabled: false, path: .cursor/rules/rules-doctor.mdc }",
+      "  opencode: { enabled: false, path: AGENTS.md }",
+      "",
+    ].join("\n"),
+    "utf8",
+  );
+  assert.equal(run(["sync", "--write", "--backup"], dir).exitCode, 0);
+  writeFileSync(join(dir, "AGENTS.md"), "# Notes\n<!-- RULES_DOCTOR:BEGIN -->\nold\n", "utf8");
+  writeFileSync(join(dir, "CLAUDE.md.rules-doctor.bak.2026-01-01T00-00-00-000Z"), "old\n", "utf8");
+
+  const report = run(["doctor"], dir);
+  assert.equal(report.exitCode, 1);
+  assert.match(
+    report.stdout,
+    /- error marker-block: AGENTS\.md \(codex\): marker block is malformed \(missing end marker\)\.\n {2}fix: /,
+  );
+  assert.match(
+    report.stdout,
+    /- warning npm-script: commands\.lint runs "npm run lint && pnpm install", but package\.json has no "lint"/,
+  );
+  assert.doesNotMatch(report.stdout, /no "install" script|no "test" script/);
+  assert.match(
+    report.stdout,
+    /- warning unused-target: codex is enabled, but nothing in the repo suggests Codex CLI/,
+  );
+  assert.doesNotMatch(report.stdout, /unused-target: claude/);
+  assert.match(report.stdout, /- warning backup: CLAUDE\.md\.rules-doctor\.bak\.2026-01-01T00-00-00-000Z/);
+  assert.match(
+    report.stdout,
+    /Doctor found 1 error\(s\) and 3 warning\(s\)\. 2 can be fixed with --fix\./,
+  );
+
+  const fixed = run(["doctor", "--fix"], dir);
+  assert.equal(fixed.exitCode, 0, fixed.stdout);
+  assert.match(fixed.stdout, /fixed: rewrote the managed block in AGENTS\.md/);
+  assert.match(fixed.stdout, /Fix complete: 2 problem\(s\) fixed; 0 error\(s\) and 2 warning\(s\)/);
+  assert.equal(existsSync(join(dir, "CLAUDE.md.rules-doctor.bak.2026-01-01T00-00-00-000Z")), false);
+  assert.match(
+    readFileSync(join(dir, "AGENTS.md"), "utf8"),
+    /^# Notes\n\n<!-- RULES_DOCTOR:BEGIN -->\n/,
+  );
+  assert.equal(run(["check", "--target", "codex"], dir).exitCode, 0);
+
+  symlinkSync(join(dir, ".claude"), join(dir, "docs"));
+  writeFileSync(
+    join(dir, ".agentrules", "rules.yaml"),
+    "version: 2\ntargets:\n  claude: docs/CLAUDE.md\n",
+    "utf8",
+  );
+  assert.match(
+    run(["doctor"], dir).stdout,
+    /- error symlink: claude: docs\/CLAUDE\.md goes through the symlink docs; sync refuses/,
+  );
+
+  writeFileSync(join(dir, ".agentrules", "rules.yaml"), "version: 2\nmission: [\n", "utf8");
+  assert.match(
+    run(["doctor"], dir).stdout,
+    /- error rules-yaml: \.agentrules\/rules\.yaml:2:10 RD001: YAML syntax error/,
+  );
+});
+
+test("init --preset and preset apply select targets from built-in and project presets", () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  assert.match(run(["init", "--preset", "missing"], dir).stderr, /Unknown preset: missing\./);
+  assert.equal(existsSync(join(dir, ".agentrules", "rules.yaml")), false);
+
+  const init = run(["init", "--preset", "core"], dir);
+  assert.equal(init.exitCode, 0, init.stderr);
+  assert.match(init.stdout, /Preset: core \(enables claude, codex\)/);
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const created = readFileSync(rulesPath, "utf8");
+  assert.match(created, /  claude:\n    enabled: true\n/);
+  assert.match(created, /  copilot:\n    enabled: false\n    path: "\.github\/copilot-instructions\.md"/);
+
+  mkdirSync(join(dir, ".agentrules", "presets"));
+  writeFileSync(
+    join(dir, ".agentrules", "presets", "team.yaml"),
+    "description: Copilot and Codex\ntargets:\n  copilot: true\n  codex: docs/AGENTS.md\n",
+    "utf8",
+  );
+  const list = run(["preset", "list"], dir);
+  assert.match(
+    list.stdout,
+    /- team: Copilot and Codex\n {2}targets: copilot, codex -> docs\/AGENTS\.md\n {2}source: \.agentrules\/presets\/team\.yaml/,
+  );
+  assert.match(list.stdout, /- all: Every known target\.\n {2}targets: all\n {2}source: built-in/);
+
+  writeFileSync(rulesPath, created.replace("targets:", "# chosen by preset\ntargets:"), "utf8");
+  const dryRun = run(["preset", "apply", "team"], dir);
+  assert.equal(dryRun.exitCode, 0, dryRun.stderr);
+  assert.match(dryRun.stdout, /- enabled: codex, copilot\n- disabled: claude, cursor, gemini, opencode/);
+  assert.match(dryRun.stdout, /\n {3}claude:\n-    enabled: true\n\+    enabled: false\n/);
+  assert.match(dryRun.stdout, /\n-    path: "AGENTS\.md"\n\+    path: "docs\/AGENTS\.md"\n/);
+  assert.match(readFileSync(rulesPath, "utf8"), /claude:\n    enabled: true/);
+
+  assert.equal(run(["preset", "apply", "team", "--write"], dir).exitCode, 0);
+  const applied = readFileSync(rulesPath, "utf8");
+  assert.match(applied, /# chosen by preset\ntargets:/);
+  assert.match(applied, /codex:\n    enabled: true\n    path: "docs\/AGENTS\.md"/);
+  assert.match(run(["preset", "apply", "team"], dir).stdout, /Preset already applied/);
+  assert.equal(run(["sync", "--write"], dir).exitCode, 0);
+  assert.equal(existsSync(join(dir, "docs", "AGENTS.md")), true);
+  assert.equal(existsSync(join(dir, "CLAUDE.md")), false);
+
+  writeFileSync(
+    join(dir, ".agentrules", "presets", "broken.yaml"),
+    "targets:\n  windsurf: true\n",
+    "utf8",
+  );
+  assert.match(
+    run(["preset", "apply", "broken"], dir).stderr,
+    /Preset "broken" \(\.agentrules\/presets\/broken\.yaml\) lists unknown target\(s\): windsurf\./,
+  );
+});
+
+test("verify-commands checks scripts, Makefile targets and PATH, and --run reports pass/fail", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "rules-doctor-"));
+  writeFileSync(
+    join(dir, "package.json"),
+    JSON.stringify({ scripts: { test: 'node -e "process.exit(0)"' } }),
+    "utf8",
+  );
+  writeFileSync(join(dir, "Makefile"), "build: deps\n\techo build\n.PHONY: build\n", "utf8");
+  assert.equal(run(["init"], dir).exitCode, 0);
+
+  const placeholders = await run(["verify-commands"], dir);
+  assert.equal(placeholders.exitCode, 1);
+  assert.match(
+    placeholders.stdout,
+    /- lint: broken \(echo "TODO: define lint command"\)\n {2}problem: is the placeholder written by init/,
+  );
+  assert.match(placeholders.stdout, /- test: ok \(npm run test\)/);
+  assert.match(placeholders.stdout, /Verify failed: 2 of 3 command\(s\) are broken\./);
+
+  const rulesPath = join(dir, ".agentrules", "rules.yaml");
+  const rules = readFileSync(rulesPath, "utf8")
+    .replace(/lint: .*/, 'lint: "CI=1 make build 2>&1 && make release | no-such-tool-xyz --fix"')
+    .replace(/build: .*/, "build: \"node -e 'console.log(\\\"boom\\\"); process.exit(3)'\"");
+  writeFileSync(rulesPath, rules, "utf8");
+
+  const broken = await run(["verify-commands"], dir);
+  assert.equal(broken.exitCode, 1);
+  assert.match(broken.stdout, /problem: Makefile has no "release" target\n/);
+  assert.match(broken.stdout, /problem: "no-such-tool-xyz" is not installed or not on PATH\n/);
+  assert.doesNotMatch(broken.stdout, /no "build" target/);
+  assert.match(broken.stdout, /- build: ok \(node -e/);
+  const timeoutOnly = await run(["verify-commands", "--timeout", "5"], dir);
+  assert.match(timeoutOnly.stderr, /--timeout requires --run/);
+
+  const executed = await run(["verify-commands", "--run", "--timeout", "30"], dir);
+  assert.equal(executed.exitCode, 1);
+  assert.match(executed.stdout, /- mode: run \(timeout 30s\)/);
+  assert.match(executed.stdout, /- lint: broken[^\n]*\n(?: {2}problem: [^\n]*\n)+ {2}skipped: not run/);
+  assert.match(executed.stdout, /- test: pass in \d+\.\ds \(npm run test\)/);
+  assert.match(executed.stdout, /- build: fail with exit code 3 in \d+\.\ds [^\n]*\n {2}\| boom/);
+  assert.match(executed.stdout, /Verify failed: 2 of 3 command\(s\) did not pass\./);
+
+  // A compound command keeps the shell alive; the timeout must stop the node process too.
+  writeFileSync(
+    join(dir, "hang.js"),
+    'require("fs").writeFileSync("hang.pid", String(process.pid));\nsetTimeout(() => {}, 30000);\n',
+    "utf8",
+  );
+  writeFileSync(
+    rulesPath,
+    rules
+      .replace(/lint: .*/, 'lint: "make build"')
+      .replace(/build: .*/, 'build: "node hang.js; echo done"'),
+    "utf8",
+  );
+  const slow = await run(["verify-commands", "--run", "--timeout", "1"], dir);
+  assert.equal(slow.exitCode, 1);
+  assert.match(slow.stdout, /- build: timed out after 1s/);
+  assert.doesNotMatch(slow.stdout, /\| done/);
+  const pid = Number(readFileSync(join(dir, "hang.pid"), "utf8"));
+  for (let attempt = 0; attempt < 20 && isProcessAlive(pid); attempt += 1) {
+    await new Promise((resolveDelay) => setTimeout(resolveDelay, 100));
+  }
+  assert.equal(isProcessAlive(pid), false);
+});
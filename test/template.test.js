@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { renderTemplate } = require("../src/template.js");
+
+const rules = {
+  mission: "Ship it.",
+  workflow: ["Read first.", "Change less."],
+  commands: { lint: "pnpm lint", test: "pnpm test" },
+  approvals: { mode: "ask", notes: [] },
+};
+
+test("renderTemplate substitutes placeholders and dotted paths", () => {
+  assert.equal(
+    renderTemplate("{{ mission }} ({{approvals.mode}})\n{{workflow}}", rules),
+    "Ship it. (ask)\n- Read first.\n- Change less.",
+  );
+  assert.equal(renderTemplate("[{{missing.value}}]", rules), "[]");
+});
+
+test("renderTemplate supports each over arrays/objects and if/else blocks", () => {
+  const template = [
+    "{{#each workflow}}",
+    "{{@index}}. {{this}} ({{mission}})",
+    "{{/each}}",
+    "{{#each commands}}",
+    "- {{@key}}: `{{this}}`",
+    "{{/each}}",
+    "{{#if approvals.notes}}",
+    "notes",
+    "{{else}}",
+    "no notes",
+    "{{/if}}",
+  ].join("\n");
+
+  assert.equal(
+    renderTemplate(template, rules),
+    [
+      "0. Read first. (Ship it.)",
+      "1. Change less. (Ship it.)",
+      "- lint: `pnpm lint`",
+      "- test: `pnpm test`",
+      "no notes",
+      "",
+    ].join("\n"),
+  );
+});
+
+test("renderTemplate rejects malformed blocks", () => {
+  assert.throws(() => renderTemplate("{{#each workflow}}x", rules), /unclosed \{\{#each workflow\}\}/);
+  assert.throws(() => renderTemplate("{{/if}}", rules), /unexpected \{\{\/if\}\}/);
+  assert.throws(() => renderTemplate("{{#with mission}}{{/with}}", rules), /unknown block helper/);
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { setYamlValue, updateYamlText } = require("../src/yaml-edit.js");
+const { parseYaml, toValue } = require("../src/yaml.js");
+
+const RULES = [
+  "# Shared agent rules",
+  "version: 2 # bumped by migrate",
+  "",
+  "mission: 'Ship it.'",
+  "workflow:",
+  "  # keep this short",
+  "  - Read first.",
+  "  - Test.",
+  "commands:",
+  "  test: npm test   # fast",
+  '  lint: "npm run lint"',
+  "targets:",
+  "  codex: { enabled: false }",
+  "  cursor:",
+  "    path: .cursor/rules/team.mdc",
+  "",
+].join("\n");
+
+test("structural edits keep comments, blank lines, key order and quoting", () => {
+  assert.equal(updateYamlText(RULES, toValue(parseYaml(RULES).root)), RULES);
+
+  assert.equal(
+    setYamlValue(RULES, ["commands", "test"], "node --test"),
+    RULES.replace("test: npm test   # fast", "test: node --test   # fast"),
+  );
+  assert.equal(
+    setYamlValue(RULES, ["mission"], "Ship safely."),
+    RULES.replace("mission: 'Ship it.'", "mission: 'Ship safely.'"),
+  );
+  assert.equal(
+    setYamlValue(RULES, ["targets", "cursor", "path"], ".cursor/rules/a b.mdc"),
+    RULES.replace("path: .cursor/rules/team.mdc", "path: .cursor/rules/a b.mdc"),
+  );
+  assert.equal(
+    setYamlValue(RULES, ["commands", "build"], "npm run build"),
+    RULES.replace('  lint: "npm run lint"\n', '  lint: "npm run lint"\n  build: "npm run build"\n'),
+  );
+  assert.equal(
+    setYamlValue(RULES, ["targets", "inhouse"], { enabled: true, path: "docs/INHOUSE.md" }),
+    `${RULES}  inhouse:\n    enabled: true\n    path: "docs/INHOUSE.md"\n`,
+  );
+  assert.equal(
+    setYamlValue(RULES, ["targets", "codex", "path"], "CODEX.md"),
+    RULES.replace("{ enabled: false }", '{ enabled: false, path: "CODEX.md" }'),
+  );
+  assert.equal(
+    setYamlValue(RULES, ["workflow"], ["Read first.", "Test.", "Ship."]),
+    RULES.replace("  - Test.\n", '  - Test.\n  - "Ship."\n'),
+  );
+});
+
+test("structural edits handle new sections, block scalars, merge keys and CRLF", () => {
+  const withApprovals = setYamlValue(RULES, ["approvals", "notes"], ["Ask before deleting."]);
+  assert.match(
+    withApprovals,
+    /path: \.cursor\/rules\/team\.mdc\napprovals:\n {2}notes:\n {4}- "Ask before deleting\."\n$/,
+  );
+
+  const multiline = setYamlValue(RULES, ["mission"], "Ship it.\nSafely.");
+  assert.match(multiline, /\nmission: \|-\n {2}Ship it\.\n {2}Safely\.\nworkflow:/);
+  assert.deepEqual(toValue(parseYaml(multiline).root).mission, "Ship it.\nSafely.");
+
+  const merged = "base: &base\n  lint: npm run lint\ncommands:\n  <<: *base\n  test: npm test\n";
+  assert.equal(
+    setYamlValue(merged, ["commands", "build"], "make"),
+    merged.replace("  test: npm test\n", '  test: npm test\n  build: "make"\n'),
+  );
+
+  assert.equal(setYamlValue("a: 1\r\nb: 2\r\n", ["b"], 3), "a: 1\r\nb: 3\r\n");
+  assert.equal(setYamlValue("", ["version"], 2), "version: 2\n");
+  assert.throws(() => setYamlValue("a: [1\n", ["a"], 2), /Cannot edit YAML with syntax errors/);
+});